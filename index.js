@@ -2,32 +2,92 @@ const path = require("path");
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { apiRoutes } = require("./routes");
+const { apiRoutes, websubRoutes } = require("./routes");
+const { startSubscriptionPoller } = require("./lib/subscriptions");
+const { isWebSubConfigured, startWebSubRenewal } = require("./lib/websub");
+const {
+  hasAnyApiKey,
+  findApiKey,
+  consumeToken,
+  recordUsage,
+  flushUsage,
+} = require("./lib/api-keys");
+const { createAppError } = require("./lib/errors");
+const { sendError, isSignedImageRequest } = require("./routes/api/helpers");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const API_KEY = process.env.API_KEY;
-
-const requireApiKey = (req, res, next) => {
-  if (!API_KEY) {
-    res.status(500).json({ error: "API_KEY 未配置，请联系管理员" });
+const requireApiKey = async (req, res, next) => {
+  if (req.path.replace(/\/+$/, "") === "/image" && isSignedImageRequest(req)) {
+    next();
     return;
   }
 
-  const providedKey = req.header("x-api-key") || req.query.api_key;
-  if (providedKey !== API_KEY) {
-    res.status(401).json({ error: "Unauthorized" });
-    return;
-  }
+  try {
+    if (!(await hasAnyApiKey())) {
+      sendError(req, res, createAppError("API_KEY_NOT_CONFIGURED"));
+      return;
+    }
+
+    const apiKey = await findApiKey(req.header("x-api-key") || req.query.api_key);
+    if (!apiKey) {
+      sendError(req, res, createAppError("UNAUTHORIZED"));
+      return;
+    }
+
+    const rateLimit = consumeToken(apiKey);
+    const group = req.path.split("/")[1] || "";
+    res.set("X-RateLimit-Limit", String(rateLimit.limit));
+    res.set("X-RateLimit-Remaining", String(rateLimit.remaining));
+    res.on("finish", () => {
+      recordUsage(apiKey, {
+        group,
+        statusCode: res.statusCode,
+        rateLimited: !rateLimit.allowed,
+      }).catch((error) => {
+        console.error("[usage]", error.message || error);
+      });
+    });
+
+    if (!rateLimit.allowed) {
+      sendError(
+        req,
+        res,
+        createAppError("RATE_LIMITED", { params: { retryAfter: rateLimit.retryAfter } }),
+      );
+      return;
+    }
 
-  next();
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
 };
 
 app.use(cors());
+app.use("/websub", websubRoutes);
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/api", requireApiKey, apiRoutes);
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Express server listening at http://localhost:${PORT}`);
+  startSubscriptionPoller();
+  if (isWebSubConfigured()) {
+    startWebSubRenewal();
+  }
 });
+
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, shutting down`);
+  server.close();
+  flushUsage()
+    .catch((error) => {
+      console.error("[usage]", error.message || error);
+    })
+    .finally(() => process.exit(0));
+};
+
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
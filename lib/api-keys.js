@@ -0,0 +1,313 @@
+const fs = require("fs").promises;
+const { createHash, randomBytes, randomUUID, timingSafeEqual } = require("crypto");
+const { createJsonFile, resolveDataPath } = require("./json-file");
+
+const API_SCOPES = ["podcast", "opml", "subscriptions", "websub", "search", "image", "admin"];
+const ALL_SCOPES = "*";
+const LEGACY_KEY_ID = "env";
+const KEY_PREFIX = "pk_";
+const USAGE_FLUSH_SECONDS = 10;
+
+const toPositiveInteger = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const DEFAULT_RATE_LIMIT = {
+  perMinute: toPositiveInteger(process.env.RATE_LIMIT_PER_MINUTE, 120),
+  burst: toPositiveInteger(process.env.RATE_LIMIT_BURST, 60),
+};
+
+const keyStore = createJsonFile(resolveDataPath("api-keys.json"), () => ({ keys: [] }));
+const usageStore = createJsonFile(resolveDataPath("api-usage.json"), () => ({ keys: {} }));
+
+const buckets = new Map();
+const pendingUsage = new Map();
+let registryCache;
+let flushTimer;
+
+const hashKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+const toRegistry = (state) => ({ keys: Array.isArray(state?.keys) ? state.keys : [] });
+
+const getRegistryModifiedTime = async () => {
+  try {
+    return (await fs.stat(keyStore.filePath)).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+};
+
+const loadRegistry = async () => {
+  const mtimeMs = await getRegistryModifiedTime();
+  if (!registryCache || registryCache.mtimeMs !== mtimeMs) {
+    const promise = keyStore.read().then(toRegistry);
+    registryCache = { mtimeMs, promise };
+    promise.catch(() => {
+      if (registryCache?.promise === promise) registryCache = undefined;
+    });
+  }
+  return registryCache.promise;
+};
+
+const updateRegistry = (mutate) =>
+  keyStore.update((state) => {
+    if (!Array.isArray(state.keys)) state.keys = [];
+    return mutate(state);
+  });
+
+const toUsageKeys = (state) =>
+  state?.keys && typeof state.keys === "object" ? state.keys : {};
+
+const getLegacyKey = () => {
+  const value = process.env.API_KEY;
+  if (!value) return null;
+  return {
+    id: LEGACY_KEY_ID,
+    name: "API_KEY",
+    keyHash: hashKey(value),
+    scopes: [ALL_SCOPES],
+    rateLimit: null,
+    createdAt: null,
+    revokedAt: null,
+  };
+};
+
+const toPublicKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix || null,
+  scopes: record.scopes,
+  rateLimit: { ...DEFAULT_RATE_LIMIT, ...(record.rateLimit || {}) },
+  createdAt: record.createdAt ? new Date(record.createdAt).toISOString() : null,
+  revokedAt: record.revokedAt ? new Date(record.revokedAt).toISOString() : null,
+});
+
+const isSameHash = (left, right) =>
+  left.length === right.length && timingSafeEqual(Buffer.from(left), Buffer.from(right));
+
+const hasAnyApiKey = async () => {
+  const registry = await loadRegistry();
+  return Boolean(getLegacyKey()) || registry.keys.some((record) => !record.revokedAt);
+};
+
+const findApiKey = async (value) => {
+  if (!value) return null;
+  const keyHash = hashKey(value);
+  const registry = await loadRegistry();
+  const candidates = [getLegacyKey(), ...registry.keys].filter(Boolean);
+  return (
+    candidates.find((record) => !record.revokedAt && isSameHash(record.keyHash, keyHash)) || null
+  );
+};
+
+const hasScope = (record, scope) =>
+  record.scopes.includes(ALL_SCOPES) || record.scopes.includes(scope);
+
+const normalizeScopes = (scopes) => {
+  const list = Array.isArray(scopes) ? scopes : [scopes];
+  const normalized = [...new Set(list.map((scope) => String(scope || "").trim()))].filter(Boolean);
+  if (!normalized.length) return null;
+  if (normalized.some((scope) => scope !== ALL_SCOPES && !API_SCOPES.includes(scope))) {
+    return null;
+  }
+  return normalized;
+};
+
+const normalizeRateLimit = (rateLimit) => {
+  if (rateLimit === undefined || rateLimit === null) return null;
+  if (typeof rateLimit !== "object") return undefined;
+  const perMinute = toPositiveInteger(rateLimit.perMinute, null);
+  const burst = toPositiveInteger(rateLimit.burst, null);
+  const hasInvalidValue =
+    (rateLimit.perMinute !== undefined && !perMinute) ||
+    (rateLimit.burst !== undefined && !burst);
+  if (hasInvalidValue) return undefined;
+  return {
+    ...(perMinute ? { perMinute } : {}),
+    ...(burst ? { burst } : {}),
+  };
+};
+
+const listApiKeys = async () => {
+  const registry = await loadRegistry();
+  return [getLegacyKey(), ...registry.keys].filter(Boolean).map(toPublicKey);
+};
+
+const createApiKey = async ({ name, scopes, rateLimit }) => {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: randomUUID(),
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    scopes,
+    rateLimit,
+    createdAt: Date.now(),
+    revokedAt: null,
+  };
+  await updateRegistry((registry) => {
+    registry.keys.push(record);
+  });
+  return { ...toPublicKey(record), key };
+};
+
+const isLegacyKeyId = (id) => id === LEGACY_KEY_ID;
+
+const revokeApiKey = async (id) => {
+  const record = await updateRegistry((registry) => {
+    const entry = registry.keys.find((candidate) => candidate.id === id);
+    if (entry && !entry.revokedAt) {
+      entry.revokedAt = Date.now();
+    }
+    return entry || null;
+  });
+  if (!record) return null;
+  buckets.delete(id);
+  return toPublicKey(record);
+};
+
+const consumeToken = (record) => {
+  const { perMinute, burst } = { ...DEFAULT_RATE_LIMIT, ...(record.rateLimit || {}) };
+  const refillPerMs = perMinute / 60000;
+  const now = Date.now();
+  const bucket = buckets.get(record.id) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(record.id, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, limit: perMinute, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  return {
+    allowed: false,
+    limit: perMinute,
+    remaining: 0,
+    retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)),
+  };
+};
+
+const scheduleUsageFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = undefined;
+    flushUsage().catch((error) => {
+      console.error("[usage]", error.message || error);
+    });
+  }, USAGE_FLUSH_SECONDS * 1000);
+  flushTimer.unref();
+};
+
+const createUsageEntry = (name) => ({
+  name,
+  requests: 0,
+  rateLimited: 0,
+  errors: 0,
+  groups: {},
+  firstUsedAt: null,
+  lastUsedAt: null,
+});
+
+const earliest = (left, right) => (!left || (right && right < left) ? right : left);
+
+const latest = (left, right) => (!left || (right && right > left) ? right : left);
+
+const mergeUsageEntry = (entry = createUsageEntry(null), delta) => {
+  const groups = { ...(entry.groups || {}) };
+  Object.entries(delta.groups).forEach(([group, count]) => {
+    groups[group] = (groups[group] || 0) + count;
+  });
+  return {
+    ...entry,
+    name: delta.name ?? entry.name ?? null,
+    requests: (entry.requests || 0) + delta.requests,
+    rateLimited: (entry.rateLimited || 0) + delta.rateLimited,
+    errors: (entry.errors || 0) + delta.errors,
+    groups,
+    firstUsedAt: earliest(entry.firstUsedAt || null, delta.firstUsedAt),
+    lastUsedAt: latest(entry.lastUsedAt || null, delta.lastUsedAt),
+  };
+};
+
+const flushUsage = async () => {
+  if (!pendingUsage.size) return;
+  const deltas = [...pendingUsage];
+  pendingUsage.clear();
+  try {
+    await usageStore.update((state) => {
+      state.keys = toUsageKeys(state);
+      deltas.forEach(([id, delta]) => {
+        state.keys[id] = mergeUsageEntry(state.keys[id], delta);
+      });
+    });
+  } catch (error) {
+    deltas.forEach(([id, delta]) => {
+      const pending = pendingUsage.get(id);
+      pendingUsage.set(id, pending ? mergeUsageEntry(delta, pending) : delta);
+    });
+    scheduleUsageFlush();
+    throw error;
+  }
+};
+
+const recordUsage = async (record, { group, statusCode, rateLimited = false }) => {
+  const now = new Date().toISOString();
+  pendingUsage.set(
+    record.id,
+    mergeUsageEntry(pendingUsage.get(record.id), {
+      name: record.name,
+      requests: 1,
+      rateLimited: rateLimited ? 1 : 0,
+      errors: statusCode >= 400 && !rateLimited ? 1 : 0,
+      groups: { [group]: 1 },
+      firstUsedAt: now,
+      lastUsedAt: now,
+    }),
+  );
+  scheduleUsageFlush();
+};
+
+const toUsageEntry = (id, name, revokedAt, entry = {}) => ({
+  id,
+  name: name ?? entry.name ?? null,
+  revokedAt,
+  requests: entry.requests || 0,
+  rateLimited: entry.rateLimited || 0,
+  errors: entry.errors || 0,
+  groups: entry.groups || {},
+  firstUsedAt: entry.firstUsedAt || null,
+  lastUsedAt: entry.lastUsedAt || null,
+});
+
+const getUsageReport = async () => {
+  await flushUsage();
+  const [usage, keys] = await Promise.all([usageStore.read(), listApiKeys()]);
+  const usageKeys = toUsageKeys(usage);
+  const knownIds = new Set(keys.map((key) => key.id));
+  return [
+    ...keys.map((key) => toUsageEntry(key.id, key.name, key.revokedAt, usageKeys[key.id])),
+    ...Object.entries(usageKeys)
+      .filter(([id]) => !knownIds.has(id))
+      .map(([id, entry]) => toUsageEntry(id, null, null, entry)),
+  ];
+};
+
+module.exports = {
+  API_SCOPES,
+  ALL_SCOPES,
+  hasAnyApiKey,
+  findApiKey,
+  hasScope,
+  isLegacyKeyId,
+  normalizeScopes,
+  normalizeRateLimit,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  consumeToken,
+  recordUsage,
+  getUsageReport,
+  flushUsage,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { createHash, randomUUID } = require("crypto");
+const { createAppError } = require("./errors");
+const { logDebug } = require("./logger");
+
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_CACHE_DIR = path.join(__dirname, "..", ".cache");
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const STALE_TEMP_MS = 10 * 60 * 1000;
+const HEADER_BYTES = 64;
+const CACHE_FILE_PATTERN = /^[0-9a-f]{64}\.json(\.[0-9a-f-]+\.tmp)?$/;
+
+const toExpiresAt = (ttlSeconds) => (ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null);
+
+const isExpired = (entry) =>
+  !entry || (typeof entry.expiresAt === "number" && entry.expiresAt <= Date.now());
+
+const createMemoryStore = (options = {}) => {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    type: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: toExpiresAt(ttlSeconds) });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+const readExpiresAt = async (filePath) => {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    const match = buffer.toString("utf8", 0, bytesRead).match(/^\{"expiresAt":(\d+|null)/);
+    return match && match[1] !== "null" ? Number(match[1]) : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+const createFileStore = (options = {}) => {
+  const directory = path.resolve(options.directory || DEFAULT_CACHE_DIR);
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const maxBytes = options.maxBytes || 0;
+  const sweepEvery = Math.max(1, Math.ceil(maxEntries / 10));
+  let ready;
+  let sweeping;
+  let lastSweepAt = 0;
+  let writesSinceSweep = 0;
+
+  const ensureDirectory = () => {
+    if (!ready) {
+      ready = fs.mkdir(directory, { recursive: true }).catch((error) => {
+        ready = undefined;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  const toFilePath = (key) =>
+    path.join(directory, `${createHash("sha256").update(String(key)).digest("hex")}.json`);
+
+  const removeFile = async (filePath) => {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error?.code !== "ENOENT") throw error;
+    }
+  };
+
+  const inspectFile = async (name, now) => {
+    const filePath = path.join(directory, name);
+    const stats = await fs.stat(filePath);
+    if (name.endsWith(".tmp")) {
+      if (stats.mtimeMs + STALE_TEMP_MS < now) await removeFile(filePath);
+      return null;
+    }
+    const expiresAt = await readExpiresAt(filePath);
+    if (expiresAt !== null && expiresAt <= now) {
+      await removeFile(filePath);
+      return null;
+    }
+    return { filePath, size: stats.size, usedAt: stats.mtimeMs };
+  };
+
+  const sweep = async () => {
+    const now = Date.now();
+    let names;
+    try {
+      names = await fs.readdir(directory);
+    } catch (error) {
+      if (error?.code === "ENOENT") return;
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names.filter((entry) => CACHE_FILE_PATTERN.test(entry))) {
+      const file = await inspectFile(name, now).catch(() => null);
+      if (file) files.push(file);
+    }
+
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    let count = files.length;
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    for (const file of files) {
+      if (count <= maxEntries && (!maxBytes || totalBytes <= maxBytes)) break;
+      await removeFile(file.filePath).catch(() => {});
+      count -= 1;
+      totalBytes -= file.size;
+    }
+    logDebug("cache sweep", { directory, entries: count, bytes: totalBytes });
+  };
+
+  const runSweep = () => {
+    if (!sweeping) {
+      lastSweepAt = Date.now();
+      writesSinceSweep = 0;
+      sweeping = sweep().finally(() => {
+        sweeping = undefined;
+      });
+    }
+    return sweeping;
+  };
+
+  const scheduleSweep = () => {
+    writesSinceSweep += 1;
+    if (writesSinceSweep < sweepEvery && Date.now() - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    runSweep().catch((error) => {
+      logDebug("cache sweep failed", { directory, error: error.message });
+    });
+  };
+
+  return {
+    type: "file",
+    directory,
+    async get(key) {
+      const filePath = toFilePath(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        return undefined;
+      }
+      if (isExpired(entry)) {
+        await removeFile(filePath).catch(() => {});
+        return undefined;
+      }
+      const now = new Date();
+      await fs.utimes(filePath, now, now).catch(() => {});
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      await ensureDirectory();
+      const filePath = toFilePath(key);
+      const tempPath = `${filePath}.${randomUUID()}.tmp`;
+      const payload = JSON.stringify({ expiresAt: toExpiresAt(ttlSeconds), key, value });
+      await fs.writeFile(tempPath, payload, "utf8");
+      await fs.rename(tempPath, filePath);
+      scheduleSweep();
+    },
+    async delete(key) {
+      await removeFile(toFilePath(key));
+    },
+    sweep: runSweep,
+  };
+};
+
+const createCacheStore = (options = {}) => {
+  const type = String(options.type || "memory").trim().toLowerCase();
+  if (type === "memory") {
+    return createMemoryStore(options);
+  }
+  if (type === "file") {
+    return createFileStore(options);
+  }
+  throw createAppError("INVALID_CACHE_STORE", { params: { type } });
+};
+
+module.exports = {
+  createCacheStore,
+  createMemoryStore,
+  createFileStore,
+};
@@ -0,0 +1,91 @@
+const DEFAULT_CHARSET = "utf-8";
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: "utf-8" },
+  { bytes: [0xfe, 0xff], charset: "utf-16be" },
+  { bytes: [0xff, 0xfe], charset: "utf-16le" },
+];
+
+const CHARSET_ALIASES = {
+  gb2312: "gbk",
+  "x-gbk": "gbk",
+  "x-sjis": "shift_jis",
+  sjis: "shift_jis",
+  "big5-hkscs": "big5",
+};
+
+const normalizeCharset = (value) => {
+  const charset = String(value || "")
+    .trim()
+    .replace(/^["']|["']$/g, "")
+    .toLowerCase();
+  return CHARSET_ALIASES[charset] || charset;
+};
+
+const detectBomCharset = (buffer) => {
+  const match = BYTE_ORDER_MARKS.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte),
+  );
+  return match ? match.charset : "";
+};
+
+const getContentTypeCharset = (contentType = "") => {
+  const match = String(contentType).match(/charset\s*=\s*("[^"]*"|'[^']*'|[^;\s]+)/i);
+  return match ? normalizeCharset(match[1]) : "";
+};
+
+const getXmlDeclarationCharset = (buffer) => {
+  const head = buffer.subarray(0, 1024).toString("latin1");
+  const match = head.match(/^\s*<\?xml[^>]*?\bencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+  return match ? normalizeCharset(match[1]) : "";
+};
+
+const createDecoder = (charset, fatal = false) => {
+  try {
+    return new TextDecoder(charset, { fatal });
+  } catch (error) {
+    return null;
+  }
+};
+
+const isUtf8Family = (charset) => ["utf-8", "utf8", "unicode-1-1-utf-8"].includes(charset);
+
+const detectCharset = (buffer, contentType = "") => {
+  const bomCharset = detectBomCharset(buffer);
+  if (bomCharset) return bomCharset;
+
+  const headerCharset = getContentTypeCharset(contentType);
+  const declaredCharset = getXmlDeclarationCharset(buffer);
+
+  if (headerCharset && createDecoder(headerCharset)) {
+    if (
+      isUtf8Family(headerCharset) &&
+      declaredCharset &&
+      !isUtf8Family(declaredCharset) &&
+      createDecoder(declaredCharset)
+    ) {
+      try {
+        createDecoder(DEFAULT_CHARSET, true).decode(buffer, { stream: true });
+      } catch (error) {
+        return declaredCharset;
+      }
+    }
+    return headerCharset;
+  }
+
+  if (declaredCharset && createDecoder(declaredCharset)) {
+    return declaredCharset;
+  }
+
+  return DEFAULT_CHARSET;
+};
+
+const decodeText = (buffer, contentType = "") => {
+  const charset = detectCharset(buffer, contentType);
+  return createDecoder(charset).decode(buffer);
+};
+
+module.exports = {
+  detectCharset,
+  decodeText,
+};
@@ -0,0 +1,70 @@
+const mapWithConcurrency = async (items, concurrency, mapper) => {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const workerCount = Math.max(1, Math.min(concurrency || 1, list.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < list.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(list[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
+
+const createKeyedLimiter = (concurrency) => {
+  const slots = new Map();
+
+  const release = (key) => {
+    const slot = slots.get(key);
+    const next = slot.queue.shift();
+    if (next) {
+      next();
+      return;
+    }
+    slot.active -= 1;
+    if (slot.active === 0) slots.delete(key);
+  };
+
+  const acquire = (key) => {
+    const slot = slots.get(key) || { active: 0, queue: [] };
+    slots.set(key, slot);
+    if (slot.active < concurrency) {
+      slot.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => slot.queue.push(resolve));
+  };
+
+  return async (key, task) => {
+    await acquire(key);
+    try {
+      return await task();
+    } finally {
+      release(key);
+    }
+  };
+};
+
+const createSingleFlight = () => {
+  const inFlight = new Map();
+
+  return (key, task) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+};
+
+module.exports = {
+  mapWithConcurrency,
+  createKeyedLimiter,
+  createSingleFlight,
+};
@@ -0,0 +1,196 @@
+const path = require("path");
+const { createHash } = require("crypto");
+const { getText } = require("./fetch-rss");
+const { extractPodcastInfo } = require("./feed");
+const { createCacheStore } = require("./cache-store");
+const { createAppError } = require("./errors");
+
+const DEFAULT_PROVIDER = "itunes";
+const SEARCH_CACHE_SECONDS = 60 * 60;
+const SEARCH_CACHE_MAX_ENTRIES = 500;
+const SEARCH_MAX_BYTES = 2 * 1024 * 1024;
+const ITUNES_SEARCH_URL = process.env.ITUNES_SEARCH_URL || "https://itunes.apple.com/search";
+const PODCAST_INDEX_API_URL = (
+  process.env.PODCAST_INDEX_API_URL || "https://api.podcastindex.org/api/1.0"
+).replace(/\/+$/, "");
+const PODCAST_INDEX_API_KEY = process.env.PODCAST_INDEX_API_KEY || "";
+const PODCAST_INDEX_API_SECRET = process.env.PODCAST_INDEX_API_SECRET || "";
+
+const searchCache = createCacheStore({
+  type: process.env.CACHE_STORE,
+  directory: path.join(process.env.CACHE_DIR || path.join(__dirname, "..", ".cache"), "search"),
+  maxEntries: SEARCH_CACHE_MAX_ENTRIES,
+});
+
+const parseJsonResponse = (body, provider) => {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw createAppError("SEARCH_FAILED", {
+      params: { provider },
+      details: { reason: "invalid JSON response" },
+    });
+  }
+};
+
+const requestSearch = async (url, provider, headers) => {
+  let response;
+  try {
+    response = await getText(url.href, { headers, maxBytes: SEARCH_MAX_BYTES });
+  } catch (error) {
+    throw createAppError("SEARCH_FAILED", {
+      params: { provider },
+      details: { reason: error?.code || error?.message || "" },
+    });
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw createAppError("SEARCH_FAILED", {
+      params: { provider },
+      details: { statusCode: response.statusCode },
+    });
+  }
+  return parseJsonResponse(response.body, provider);
+};
+
+const toPodcastResult = (fields, directory) => {
+  const channel = {
+    title: fields.name || "",
+    "itunes:author": fields.author || "",
+    "itunes:image": fields.image ? { "@_href": fields.image } : "",
+    link: fields.website || "",
+    description: fields.description || "",
+    ...(fields.podcastGuid ? { "podcast:guid": fields.podcastGuid } : {}),
+  };
+  return {
+    ...extractPodcastInfo({ rss: { channel } }, fields.rss),
+    directory,
+  };
+};
+
+const searchItunes = async (term, options = {}) => {
+  const { limit, country } = options;
+  const url = new URL(ITUNES_SEARCH_URL);
+  url.searchParams.set("media", "podcast");
+  url.searchParams.set("entity", "podcast");
+  url.searchParams.set("term", term);
+  url.searchParams.set("limit", String(limit));
+  if (country) url.searchParams.set("country", country);
+
+  const data = await requestSearch(url, "iTunes", { Accept: "application/json" });
+
+  return (Array.isArray(data?.results) ? data.results : [])
+    .filter((entry) => entry?.feedUrl)
+    .map((entry) =>
+      toPodcastResult(
+        {
+          name: entry.collectionName || entry.trackName,
+          author: entry.artistName,
+          rss: entry.feedUrl,
+          image: entry.artworkUrl600 || entry.artworkUrl100 || entry.artworkUrl60,
+          website: entry.collectionViewUrl,
+        },
+        {
+          provider: "itunes",
+          id: entry.collectionId ?? null,
+          genres: Array.isArray(entry.genres) ? entry.genres : [],
+          episodeCount: entry.trackCount ?? null,
+        },
+      ),
+    );
+};
+
+const getPodcastIndexHeaders = () => {
+  const authDate = String(Math.floor(Date.now() / 1000));
+  return {
+    Accept: "application/json",
+    "X-Auth-Key": PODCAST_INDEX_API_KEY,
+    "X-Auth-Date": authDate,
+    Authorization: createHash("sha1")
+      .update(`${PODCAST_INDEX_API_KEY}${PODCAST_INDEX_API_SECRET}${authDate}`)
+      .digest("hex"),
+  };
+};
+
+const searchPodcastIndex = async (term, options = {}) => {
+  const { limit } = options;
+  const url = new URL(`${PODCAST_INDEX_API_URL}/search/byterm`);
+  url.searchParams.set("q", term);
+  url.searchParams.set("max", String(limit));
+
+  const data = await requestSearch(url, "Podcast Index", getPodcastIndexHeaders());
+  if (data?.status === false || data?.status === "false") {
+    throw createAppError("SEARCH_FAILED", {
+      params: { provider: "Podcast Index" },
+      details: { reason: data.description || "" },
+    });
+  }
+
+  return (Array.isArray(data?.feeds) ? data.feeds : [])
+    .filter((feed) => feed?.url)
+    .map((feed) =>
+      toPodcastResult(
+        {
+          name: feed.title,
+          author: feed.author || feed.ownerName,
+          rss: feed.url,
+          image: feed.artwork || feed.image,
+          website: feed.link,
+          description: feed.description,
+          podcastGuid: feed.podcastGuid,
+        },
+        {
+          provider: "podcastindex",
+          id: feed.id ?? null,
+          genres: Object.values(feed.categories || {}),
+          episodeCount: feed.episodeCount ?? null,
+        },
+      ),
+    );
+};
+
+const DIRECTORY_PROVIDERS = {
+  itunes: {
+    isConfigured: () => true,
+    search: searchItunes,
+  },
+  podcastindex: {
+    isConfigured: () => Boolean(PODCAST_INDEX_API_KEY && PODCAST_INDEX_API_SECRET),
+    search: searchPodcastIndex,
+  },
+};
+
+const getDefaultProvider = () => {
+  const configured = String(process.env.SEARCH_PROVIDER || "")
+    .trim()
+    .toLowerCase();
+  return DIRECTORY_PROVIDERS[configured] ? configured : DEFAULT_PROVIDER;
+};
+
+const getDirectoryProvider = (name) => DIRECTORY_PROVIDERS[name] || null;
+
+const storeSearch = async (key, results) => {
+  try {
+    await searchCache.set(key, results, SEARCH_CACHE_SECONDS);
+  } catch (error) {
+    console.error("[cache]", "write failed", { key, message: error?.message });
+  }
+};
+
+const searchDirectory = async (providerName, term, options = {}) => {
+  const { limit, country = "", refresh = false } = options;
+  const key = `search:${providerName}:${country}:${limit}:${term.toLowerCase()}`;
+  if (!refresh) {
+    const cached = await searchCache.get(key);
+    if (cached !== undefined) return cached;
+  }
+  const results = await DIRECTORY_PROVIDERS[providerName].search(term, { limit, country });
+  await storeSearch(key, results);
+  return results;
+};
+
+module.exports = {
+  SEARCH_CACHE_SECONDS,
+  getDefaultProvider,
+  getDirectoryProvider,
+  searchDirectory,
+};
@@ -0,0 +1,350 @@
+const { logError } = require("./logger");
+
+const DEFAULT_LOCALE = "zh-CN";
+const SUPPORTED_LOCALES = { zh: "zh-CN", en: "en" };
+
+const ERROR_DEFINITIONS = {
+  INVALID_URL: { status: 400, "zh-CN": "无效的 RSS 地址", en: "Invalid feed URL" },
+  UNSUPPORTED_PROTOCOL: {
+    status: 400,
+    "zh-CN": "仅支持 http/https RSS 地址",
+    en: "Only http and https feed URLs are supported",
+  },
+  PRIVATE_ADDRESS: {
+    status: 400,
+    "zh-CN": "禁止访问内网地址",
+    en: "Private and local network addresses are not allowed",
+  },
+  HOST_DENIED: {
+    status: 400,
+    "zh-CN": "禁止访问该地址",
+    en: "Requests to this host are not allowed",
+  },
+  DNS_FAILED: { status: 502, "zh-CN": "DNS 解析失败", en: "Could not resolve the feed host" },
+  TIMEOUT: { status: 504, "zh-CN": "请求 RSS 超时", en: "The upstream server timed out" },
+  TOO_LARGE: {
+    status: 413,
+    "zh-CN": "RSS 内容过大",
+    en: "The feed exceeds the {maxBytes} byte size limit",
+  },
+  TOO_MANY_REDIRECTS: {
+    status: 502,
+    "zh-CN": "RSS 地址重定向次数过多",
+    en: "The feed URL redirected too many times",
+  },
+  UPSTREAM_STATUS: {
+    status: 502,
+    "zh-CN": "获取 RSS 失败，状态码 {statusCode}",
+    en: "The upstream server responded with status {statusCode}",
+  },
+  UPSTREAM_THROTTLED: {
+    status: 503,
+    "zh-CN": "上游服务器限流，请在 {retryAfter} 秒后重试",
+    en: "The upstream server is rate limiting requests, retry in {retryAfter} seconds",
+  },
+  NETWORK_ERROR: {
+    status: 502,
+    "zh-CN": "请求 RSS 地址失败",
+    en: "Could not connect to the upstream server",
+  },
+  READ_FAILED: { status: 502, "zh-CN": "读取 RSS 内容失败", en: "Failed to read the feed" },
+  DECOMPRESS_FAILED: {
+    status: 502,
+    "zh-CN": "解压 RSS 内容失败",
+    en: "Failed to decompress the feed",
+  },
+  PARSE_ERROR: { status: 502, "zh-CN": "解析 RSS 失败", en: "Failed to parse the feed" },
+  INVALID_FEED: {
+    status: 502,
+    "zh-CN": "无效的 RSS 内容",
+    en: "The document is not a valid podcast feed",
+  },
+  MISSING_URL: { status: 400, "zh-CN": "请提供 RSS 地址(url)", en: "Missing feed URL (url)" },
+  MISSING_URL_LIST: {
+    status: 400,
+    "zh-CN": "请提供 RSS 地址列表",
+    en: "Missing list of feed URLs",
+  },
+  TOO_MANY_URLS: {
+    status: 400,
+    "zh-CN": "单次最多支持 {max} 个 RSS 地址",
+    en: "At most {max} feed URLs are allowed per request",
+  },
+  INVALID_CURSOR: {
+    status: 400,
+    "zh-CN": "无效的分页游标(cursor)",
+    en: "Invalid pagination cursor (cursor)",
+  },
+  INVALID_SORT: {
+    status: 400,
+    "zh-CN": "sort 仅支持 newest 或 oldest",
+    en: "sort must be newest or oldest",
+  },
+  INVALID_TIME: {
+    status: 400,
+    "zh-CN": "{name} 不是有效的时间",
+    en: "{name} is not a valid time",
+  },
+  INVALID_SINCE: {
+    status: 400,
+    "zh-CN": "since 必须是分集 id 或时间",
+    en: "since must be an episode id or a time",
+  },
+  INVALID_SEASON: { status: 400, "zh-CN": "season 必须是数字", en: "season must be a number" },
+  INVALID_EPISODE_TYPE: {
+    status: 400,
+    "zh-CN": "episodeType 仅支持 full、trailer 或 bonus",
+    en: "episodeType must be full, trailer or bonus",
+  },
+  INVALID_TRANSCRIPT_FORMAT: {
+    status: 400,
+    "zh-CN": "format 仅支持 json 或 vtt",
+    en: "format must be json or vtt",
+  },
+  EPISODE_NOT_FOUND: { status: 404, "zh-CN": "未找到该分集", en: "Episode not found" },
+  TRANSCRIPT_NOT_FOUND: {
+    status: 404,
+    "zh-CN": "该分集没有提供文字稿",
+    en: "This episode has no transcript",
+  },
+  TRANSCRIPT_PARSE_ERROR: {
+    status: 502,
+    "zh-CN": "文字稿解析失败",
+    en: "Failed to parse the transcript",
+  },
+  MISSING_OPML: { status: 400, "zh-CN": "请提供 OPML 内容", en: "Missing OPML content" },
+  INVALID_OPML: { status: 400, "zh-CN": "无效的 OPML 文档", en: "Invalid OPML document" },
+  TOO_MANY_FEEDS: {
+    status: 400,
+    "zh-CN": "单个 OPML 最多支持 {max} 个订阅",
+    en: "An OPML document may contain at most {max} feeds",
+  },
+  INVALID_CALLBACK_URL: {
+    status: 400,
+    "zh-CN": "请提供有效的回调地址(callbackUrl)",
+    en: "Missing or invalid callback URL (callbackUrl)",
+  },
+  SECRET_TOO_SHORT: {
+    status: 400,
+    "zh-CN": "secret 长度至少为 {min} 个字符",
+    en: "secret must be at least {min} characters long",
+  },
+  SUBSCRIPTION_NOT_FOUND: { status: 404, "zh-CN": "未找到该订阅", en: "Subscription not found" },
+  SUBSCRIPTION_BUSY: {
+    status: 409,
+    "zh-CN": "订阅检查正在进行，请稍后再试",
+    en: "A subscription check is already running, try again later",
+  },
+  CALLBACK_STATUS: {
+    status: 502,
+    "zh-CN": "回调返回状态码 {statusCode}",
+    en: "The callback responded with status {statusCode}",
+  },
+  WEBSUB_NOT_CONFIGURED: {
+    status: 500,
+    "zh-CN": "PUBLIC_BASE_URL 未配置，无法接收 WebSub 回调",
+    en: "PUBLIC_BASE_URL is not configured, WebSub callbacks cannot be received",
+  },
+  NO_WEBSUB_HUB: {
+    status: 400,
+    "zh-CN": "该 RSS 未声明 WebSub hub",
+    en: "The feed does not declare a WebSub hub",
+  },
+  TOPIC_HOST_MISMATCH: {
+    status: 400,
+    "zh-CN": "RSS 声明的 self 地址与 RSS 地址不在同一主机",
+    en: "The feed's self link points to a different host than the feed URL",
+  },
+  HUB_STATUS: {
+    status: 502,
+    "zh-CN": "hub 返回状态码 {statusCode}",
+    en: "The WebSub hub responded with status {statusCode}",
+  },
+  HUB_DENIED: {
+    status: 502,
+    "zh-CN": "hub 拒绝了订阅",
+    en: "The WebSub hub denied the subscription",
+  },
+  HUB_REQUEST_FAILED: {
+    status: 502,
+    "zh-CN": "订阅 hub 失败",
+    en: "Failed to reach the WebSub hub",
+  },
+  MISSING_QUERY: { status: 400, "zh-CN": "请提供搜索关键词(q)", en: "Missing search terms (q)" },
+  INVALID_PROVIDER: {
+    status: 400,
+    "zh-CN": "provider 仅支持 itunes 或 podcastindex",
+    en: "provider must be itunes or podcastindex",
+  },
+  INVALID_COUNTRY: {
+    status: 400,
+    "zh-CN": "country 必须是两位国家代码",
+    en: "country must be a two-letter country code",
+  },
+  PROVIDER_NOT_CONFIGURED: {
+    status: 500,
+    "zh-CN": "Podcast Index API 密钥未配置，请联系管理员",
+    en: "Podcast Index API credentials are not configured, contact the administrator",
+  },
+  SEARCH_FAILED: {
+    status: 502,
+    "zh-CN": "{provider} 搜索失败",
+    en: "{provider} search failed",
+  },
+  MISSING_IMAGE_SRC: {
+    status: 400,
+    "zh-CN": "请提供图片地址(src)",
+    en: "Missing image URL (src)",
+  },
+  INVALID_IMAGE_WIDTH: {
+    status: 400,
+    "zh-CN": "w 必须是 {min} 到 {max} 之间的整数",
+    en: "w must be an integer between {min} and {max}",
+  },
+  INVALID_IMAGE_FORMAT: {
+    status: 400,
+    "zh-CN": "format 仅支持 {formats}",
+    en: "format must be one of {formats}",
+  },
+  IMAGE_TOO_LARGE: {
+    status: 413,
+    "zh-CN": "图片过大",
+    en: "The image exceeds the {maxBytes} byte size limit",
+  },
+  INVALID_IMAGE: {
+    status: 502,
+    "zh-CN": "无法识别的图片内容",
+    en: "The upstream response is not a supported image",
+  },
+  IMAGE_PROXY_UNAVAILABLE: {
+    status: 500,
+    "zh-CN": "图片处理组件不可用，请联系管理员",
+    en: "Image processing is not available on this server, contact the administrator",
+  },
+  API_KEY_NOT_CONFIGURED: {
+    status: 500,
+    "zh-CN": "API_KEY 未配置，请联系管理员",
+    en: "API_KEY is not configured, contact the administrator",
+  },
+  UNAUTHORIZED: { status: 401, "zh-CN": "Unauthorized", en: "Unauthorized" },
+  FORBIDDEN_SCOPE: {
+    status: 403,
+    "zh-CN": "当前 API Key 无权访问 {scope} 接口",
+    en: "This API key is not allowed to access the {scope} endpoints",
+  },
+  RATE_LIMITED: {
+    status: 429,
+    "zh-CN": "请求过于频繁，请稍后再试",
+    en: "Too many requests, try again later",
+  },
+  INVALID_KEY_NAME: {
+    status: 400,
+    "zh-CN": "请提供名称(name)，长度不超过 {max} 个字符",
+    en: "name is required and may be at most {max} characters long",
+  },
+  INVALID_SCOPES: {
+    status: 400,
+    "zh-CN": "请提供有效的权限范围(scopes)，可选值：{scopes}",
+    en: "Missing or invalid scopes, allowed values: {scopes}",
+  },
+  INVALID_RATE_LIMIT: {
+    status: 400,
+    "zh-CN": "rateLimit.perMinute 与 rateLimit.burst 须为正整数",
+    en: "rateLimit.perMinute and rateLimit.burst must be positive integers",
+  },
+  API_KEY_NOT_FOUND: { status: 404, "zh-CN": "未找到该 API Key", en: "API key not found" },
+  LEGACY_KEY_READONLY: {
+    status: 400,
+    "zh-CN": "环境变量 API_KEY 无法通过接口吊销",
+    en: "The API_KEY environment variable cannot be revoked through the API",
+  },
+  STORAGE_BUSY: {
+    status: 503,
+    "zh-CN": "数据文件正被占用，请稍后再试",
+    en: "The data store is busy, try again later",
+  },
+  INVALID_CACHE_STORE: {
+    status: 500,
+    "zh-CN": "不支持的缓存类型: {type}",
+    en: "Unsupported cache store type: {type}",
+  },
+  INTERNAL_ERROR: { status: 500, "zh-CN": "服务器内部错误", en: "Internal server error" },
+};
+
+const formatMessage = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? match : String(params[name]),
+  );
+
+const createAppError = (code, options = {}) => {
+  const { params = {}, details = null } = options;
+  const definition = ERROR_DEFINITIONS[code] || ERROR_DEFINITIONS.INTERNAL_ERROR;
+  const error = new Error(formatMessage(definition[DEFAULT_LOCALE], params));
+  error.code = ERROR_DEFINITIONS[code] ? code : "INTERNAL_ERROR";
+  error.status = definition.status;
+  error.params = params;
+  error.details = details;
+  return error;
+};
+
+const isAppError = (error) =>
+  Boolean(error) &&
+  typeof error.code === "string" &&
+  Object.prototype.hasOwnProperty.call(ERROR_DEFINITIONS, error.code) &&
+  typeof error.status === "number";
+
+const toAppError = (error, fallbackCode = "INTERNAL_ERROR", params = {}) => {
+  if (isAppError(error)) return error;
+  logError("error", error);
+  return createAppError(fallbackCode, { params });
+};
+
+const toErrorRecord = (error, fallbackCode) => {
+  const appError = toAppError(error, fallbackCode);
+  return { code: appError.code, params: appError.params };
+};
+
+const resolveLocale = (acceptLanguage = "") => {
+  const ranges = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...attributes] = part.trim().split(";");
+      const quality = attributes
+        .map((attribute) => attribute.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return {
+        language: tag.trim().toLowerCase().split("-")[0],
+        quality: quality ? Number.parseFloat(quality[1]) : 1,
+        index,
+      };
+    })
+    .filter((range) => range.language && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranges.find((range) => SUPPORTED_LOCALES[range.language]);
+  return match ? SUPPORTED_LOCALES[match.language] : DEFAULT_LOCALE;
+};
+
+const localizeMessage = (definition, params, locale = DEFAULT_LOCALE) =>
+  formatMessage(definition[locale] || definition[DEFAULT_LOCALE], params);
+
+const localizeError = (error, locale = DEFAULT_LOCALE) =>
+  localizeMessage(ERROR_DEFINITIONS[error.code], error.params, locale);
+
+const toLastError = (record, locale) => {
+  if (!record) return { lastError: null, lastErrorCode: null };
+  if (typeof record === "string") return { lastError: record, lastErrorCode: null };
+  return { lastError: localizeError(record, locale), lastErrorCode: record.code };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  createAppError,
+  isAppError,
+  toAppError,
+  toErrorRecord,
+  resolveLocale,
+  localizeMessage,
+  localizeError,
+  toLastError,
+};
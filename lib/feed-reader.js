@@ -0,0 +1,326 @@
+const { detectCharset } = require("./charset");
+const { createAppError } = require("./errors");
+
+const CHARSET_SNIFF_BYTES = 1024;
+const ITEM_TAGS = ["item", "entry"];
+const MAX_ITEM_DEPTH = 2;
+const JSON_ITEMS_KEY = "items";
+const JSON_CLOSERS = { "{": "}", "[": "]" };
+
+const toLocalName = (name) => name.slice(name.indexOf(":") + 1).toLowerCase();
+
+const findTagEnd = (text, start) => {
+  let quote = "";
+  for (let index = start + 1; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) quote = "";
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ">") {
+      return index;
+    }
+  }
+  return -1;
+};
+
+const SKIPPED_SECTIONS = [
+  ["<!--", "-->"],
+  ["<![CDATA[", "]]>"],
+  ["<?", "?>"],
+];
+
+const createXmlSplitter = (emit) => {
+  const stack = [];
+  let text = "";
+  let position = 0;
+  let copiedUntil = 0;
+  let itemStart = -1;
+  let itemDepth = -1;
+  let header = "";
+  let itemOffset = null;
+
+  const closeItem = (end) => {
+    const item = text.slice(itemStart, end);
+    copiedUntil = end;
+    itemStart = -1;
+    return emit(item);
+  };
+
+  const handleTag = (tag, start, end) => {
+    if (tag[1] === "/") {
+      const index = stack.lastIndexOf(tag.slice(2, -1).trim());
+      if (index === -1) return false;
+      stack.length = index;
+      if (itemStart !== -1 && stack.length <= itemDepth) {
+        return closeItem(stack.length === itemDepth ? end + 1 : start);
+      }
+      return false;
+    }
+    if (tag[1] === "!") return false;
+    const match = tag.slice(1).match(/^[^\s/>]+/);
+    if (!match) return false;
+
+    const isItem =
+      itemStart === -1 &&
+      stack.length <= MAX_ITEM_DEPTH &&
+      ITEM_TAGS.includes(toLocalName(match[0]));
+    if (isItem) {
+      header += text.slice(copiedUntil, start);
+      itemOffset = itemOffset ?? header.length;
+      itemStart = start;
+      itemDepth = stack.length;
+    }
+    if (tag.endsWith("/>")) {
+      return isItem ? closeItem(end + 1) : false;
+    }
+    stack.push(match[0]);
+    return false;
+  };
+
+  const scan = () => {
+    while (position < text.length) {
+      const start = text.indexOf("<", position);
+      if (start === -1) {
+        position = text.length;
+        return false;
+      }
+      if (text.length - start < "<![CDATA[".length) {
+        position = start;
+        return false;
+      }
+
+      const section = SKIPPED_SECTIONS.find(([open]) => text.startsWith(open, start));
+      if (section) {
+        const end = text.indexOf(section[1], start + section[0].length);
+        if (end === -1) {
+          position = start;
+          return false;
+        }
+        position = end + section[1].length;
+        continue;
+      }
+
+      const end = findTagEnd(text, start);
+      if (end === -1) {
+        position = start;
+        return false;
+      }
+      position = end + 1;
+      if (handleTag(text.slice(start, end + 1), start, end)) return true;
+    }
+    return false;
+  };
+
+  const compact = () => {
+    const keepFrom = itemStart !== -1 ? itemStart : position;
+    if (itemStart === -1) header += text.slice(copiedUntil, position);
+    text = text.slice(keepFrom);
+    position -= keepFrom;
+    itemStart = itemStart !== -1 ? 0 : -1;
+    copiedUntil = 0;
+  };
+
+  return {
+    write(chunk) {
+      text += chunk;
+      const stopped = scan();
+      compact();
+      return stopped;
+    },
+    end(stopped) {
+      if (stopped) {
+        header += [...stack].reverse().map((name) => `</${name}>`).join("");
+      } else if (itemStart !== -1) {
+        closeItem(text.length);
+      } else {
+        header += text.slice(copiedUntil);
+      }
+      text = "";
+      return { header, itemOffset };
+    },
+    get pendingLength() {
+      return text.length;
+    },
+    get headerLength() {
+      return header.length;
+    },
+  };
+};
+
+const createJsonSplitter = (emit) => {
+  const openers = [];
+  let text = "";
+  let position = 0;
+  let copiedUntil = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let expectKey = false;
+  let lastKey = "";
+  let itemsState = "before";
+  let itemStart = -1;
+  let header = "";
+  let itemOffset = null;
+
+  const isPendingKey = () => inString && expectKey && openers.length === 1;
+
+  const scan = () => {
+    for (; position < text.length; position += 1) {
+      const char = text[position];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          if (isPendingKey()) {
+            lastKey = JSON.parse(text.slice(stringStart, position + 1));
+            expectKey = false;
+          }
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        stringStart = position;
+      } else if (char === "{" || char === "[") {
+        if (itemsState === "inside" && openers.length === 2 && char === "{") {
+          itemStart = position;
+        }
+        openers.push(char);
+        if (openers.length === 1) expectKey = true;
+        if (
+          openers.length === 2 &&
+          char === "[" &&
+          itemsState === "before" &&
+          lastKey === JSON_ITEMS_KEY
+        ) {
+          itemsState = "inside";
+          header += text.slice(copiedUntil, position + 1);
+          itemOffset = header.length;
+          copiedUntil = position + 1;
+        }
+      } else if (char === "}" || char === "]") {
+        openers.pop();
+        if (itemsState !== "inside") continue;
+        if (openers.length === 2 && itemStart !== -1) {
+          const item = text.slice(itemStart, position + 1);
+          itemStart = -1;
+          if (emit(item)) {
+            position += 1;
+            return true;
+          }
+        } else if (openers.length === 1) {
+          itemsState = "after";
+          copiedUntil = position;
+        }
+      } else if (char === "," && openers.length === 1) {
+        expectKey = true;
+      }
+    }
+    return false;
+  };
+
+  const compact = () => {
+    let keepFrom = position;
+    if (itemsState === "inside") {
+      if (itemStart !== -1) keepFrom = itemStart;
+    } else {
+      if (isPendingKey()) keepFrom = stringStart;
+      header += text.slice(copiedUntil, keepFrom);
+    }
+    text = text.slice(keepFrom);
+    position -= keepFrom;
+    stringStart -= keepFrom;
+    if (itemStart !== -1) itemStart -= keepFrom;
+    copiedUntil = 0;
+  };
+
+  return {
+    write(chunk) {
+      text += chunk;
+      const stopped = scan();
+      compact();
+      return stopped;
+    },
+    end(stopped) {
+      if (stopped) {
+        header += [...openers].reverse().map((opener) => JSON_CLOSERS[opener]).join("");
+      } else if (itemsState !== "inside") {
+        header += text;
+      }
+      text = "";
+      return { header, itemOffset };
+    },
+    get pendingLength() {
+      return text.length;
+    },
+    get headerLength() {
+      return header.length;
+    },
+  };
+};
+
+const createFeedReader = ({ contentType = "", maxBytes, onItem }) => {
+  const head = [];
+  let decoder;
+  let splitter;
+  let format = "";
+  let pending = "";
+  let bytes = 0;
+  let items = 0;
+  let stopped = false;
+
+  const emit = (text) => {
+    const index = items;
+    items += 1;
+    return onItem(text, { format, index }) === false;
+  };
+
+  const write = (text) => {
+    if (!splitter) {
+      pending += text;
+      const start = pending.replace(/^\uFEFF/, "").trimStart();
+      if (!start) return false;
+      format = start.startsWith("{") ? "json" : "xml";
+      splitter = format === "json" ? createJsonSplitter(emit) : createXmlSplitter(emit);
+      text = pending;
+      pending = "";
+    }
+    stopped = splitter.write(text);
+    if (splitter.pendingLength > maxBytes || splitter.headerLength > maxBytes) {
+      throw createAppError("TOO_LARGE", { params: { maxBytes }, details: { maxBytes } });
+    }
+    return stopped;
+  };
+
+  const startDecoding = () => {
+    const buffer = Buffer.concat(head);
+    decoder = new TextDecoder(detectCharset(buffer, contentType));
+    return write(decoder.decode(buffer, { stream: true }));
+  };
+
+  return {
+    push(chunk) {
+      bytes += chunk.length;
+      if (decoder) return write(decoder.decode(chunk, { stream: true }));
+      head.push(chunk);
+      return bytes >= CHARSET_SNIFF_BYTES ? startDecoding() : false;
+    },
+    finish() {
+      if (!decoder) startDecoding();
+      if (!stopped) write(decoder.decode());
+      const { header, itemOffset } = splitter
+        ? splitter.end(stopped)
+        : { header: pending, itemOffset: null };
+      return { format: format || "xml", header, itemOffset, items, bytes, complete: !stopped };
+    },
+  };
+};
+
+module.exports = {
+  createFeedReader,
+};
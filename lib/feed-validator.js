@@ -0,0 +1,342 @@
+const { XMLValidator } = require("fast-xml-parser");
+const { MAX_RSS_BYTES, fetchFeed } = require("./fetch-rss");
+const {
+  DEFAULT_LOCALE,
+  createAppError,
+  toAppError,
+  localizeMessage,
+  localizeError,
+} = require("./errors");
+const {
+  parseFeedDocument,
+  parseFeedItem,
+  getEpisodeIdentity,
+  getItemDuration,
+  extractPodcastInfo,
+  hasPodcastInfo,
+  resolveUrl,
+} = require("./feed");
+
+const SIZE_WARNING_RATIO = 0.8;
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const REQUEST_ERROR_CODES = [
+  "INVALID_URL",
+  "UNSUPPORTED_PROTOCOL",
+  "PRIVATE_ADDRESS",
+  "HOST_DENIED",
+];
+
+const FINDING_MESSAGES = {
+  REDIRECT_CHAIN: {
+    "zh-CN": "RSS 地址经过 {count} 次重定向，建议更新为最终地址",
+    en: "The feed URL redirects {count} time(s); update it to the final URL",
+  },
+  FEED_OVER_CACHE_LIMIT: {
+    "zh-CN": "RSS 超过 {maxMegabytes} MB，只缓存前 {items} 个分集，之后的分集需从源站流式读取",
+    en: "The feed exceeds {maxMegabytes} MB; only the first {items} episodes are cached, later ones are streamed",
+  },
+  FEED_NEAR_SIZE_LIMIT: {
+    "zh-CN": "RSS 体积接近 {maxMegabytes} MB 缓存上限，超出部分的分集需从源站流式读取",
+    en: "The feed is close to the {maxMegabytes} MB cache limit; episodes beyond it will be streamed",
+  },
+  MISSING_TITLE: { "zh-CN": "节目缺少标题", en: "The show has no title" },
+  MISSING_ARTWORK: { "zh-CN": "节目缺少封面图片", en: "The show has no artwork" },
+  INSECURE_ARTWORK: {
+    "zh-CN": "节目封面未使用 HTTPS",
+    en: "The show artwork is not served over HTTPS",
+  },
+  NO_EPISODES: { "zh-CN": "RSS 中没有分集", en: "The feed has no episodes" },
+  MISSING_ENCLOSURE: {
+    "zh-CN": "分集缺少音频附件(enclosure)",
+    en: "The episode has no audio enclosure",
+  },
+  INSECURE_AUDIO: {
+    "zh-CN": "音频地址未使用 HTTPS",
+    en: "The audio URL does not use HTTPS",
+  },
+  MISSING_PUBDATE: {
+    "zh-CN": "分集缺少发布时间(pubDate)",
+    en: "The episode has no publish date (pubDate)",
+  },
+  INVALID_PUBDATE: {
+    "zh-CN": "无法解析分集发布时间(pubDate)",
+    en: "The episode publish date (pubDate) cannot be parsed",
+  },
+  MISSING_GUID: { "zh-CN": "分集缺少 guid", en: "The episode has no guid" },
+  DUPLICATE_GUID: {
+    "zh-CN": "分集 guid 与其他分集重复",
+    en: "The episode guid is shared with another episode",
+  },
+  INVALID_DURATION: {
+    "zh-CN": "无法解析分集时长(itunes:duration)",
+    en: "The episode duration (itunes:duration) cannot be parsed",
+  },
+  MALFORMED_XML: {
+    "zh-CN": "RSS 不是格式良好的 XML，部分应用可能无法解析",
+    en: "The feed is not well-formed XML; some apps may fail to parse it",
+  },
+};
+
+const createFinding = (severity, code, options = {}) => ({
+  severity,
+  code,
+  item: options.item || null,
+  details: options.details,
+  params: options.params,
+  error: options.error,
+});
+
+const localizeFinding = (finding, locale) => ({
+  severity: finding.severity,
+  code: finding.code,
+  message: finding.error
+    ? localizeError(finding.error, locale)
+    : localizeMessage(FINDING_MESSAGES[finding.code], finding.params, locale),
+  item: finding.item,
+  ...(finding.details ? { details: finding.details } : {}),
+});
+
+const toItemReference = (identity, index) => ({
+  index,
+  id: identity.id,
+  guid: identity.guid || null,
+  title: identity.title,
+});
+
+const checkTransport = (result, cachedItems) => {
+  const findings = [];
+  const maxMegabytes = MAX_RSS_BYTES / 1024 / 1024;
+  if (result.redirects.length) {
+    findings.push(
+      createFinding(result.redirects.length > 1 ? "warning" : "info", "REDIRECT_CHAIN", {
+        params: { count: result.redirects.length },
+        details: { chain: result.redirects, finalUrl: result.url },
+      }),
+    );
+  }
+  if (cachedItems < result.items) {
+    findings.push(
+      createFinding("warning", "FEED_OVER_CACHE_LIMIT", {
+        params: { maxMegabytes, items: cachedItems },
+        details: { bytes: result.bytes, maxBytes: MAX_RSS_BYTES, items: cachedItems },
+      }),
+    );
+  } else if (result.bytes >= MAX_RSS_BYTES * SIZE_WARNING_RATIO) {
+    findings.push(
+      createFinding("warning", "FEED_NEAR_SIZE_LIMIT", {
+        params: { maxMegabytes },
+        details: { bytes: result.bytes, maxBytes: MAX_RSS_BYTES },
+      }),
+    );
+  }
+  return findings;
+};
+
+const toMalformedFinding = (validation, item = null) =>
+  createFinding("warning", "MALFORMED_XML", {
+    item,
+    details: {
+      reason: validation.err?.msg || "",
+      line: validation.err?.line ?? null,
+      column: validation.err?.col ?? null,
+    },
+  });
+
+const checkChannel = (rssData, url, baseUrl) => {
+  const findings = [];
+  const podcast = extractPodcastInfo(rssData, url);
+  if (!podcast.name) {
+    findings.push(createFinding("error", "MISSING_TITLE"));
+  }
+  if (!podcast.image || typeof podcast.image !== "string") {
+    findings.push(createFinding("warning", "MISSING_ARTWORK"));
+  } else {
+    const image = resolveUrl(podcast.image.trim(), baseUrl) || podcast.image;
+    if (!/^https:\/\//i.test(image)) {
+      findings.push(createFinding("warning", "INSECURE_ARTWORK", { details: { url: image } }));
+    }
+  }
+  return findings;
+};
+
+const createItemChecker = () => {
+  const findings = [];
+  const seenGuids = new Map();
+  let malformed = null;
+  let cachedBytes = 0;
+  let cachedItems = 0;
+
+  const checkItem = (item, index, baseUrl) => {
+    const identity = getEpisodeIdentity(item, index);
+    const reference = toItemReference(identity, index);
+
+    const audio = resolveUrl(identity.audio, baseUrl) || identity.audio;
+    if (!audio) {
+      findings.push(createFinding("error", "MISSING_ENCLOSURE", { item: reference }));
+    } else if (/^http:\/\//i.test(audio)) {
+      findings.push(
+        createFinding("warning", "INSECURE_AUDIO", { item: reference, details: { url: audio } }),
+      );
+    }
+
+    const rawDate = item?.pubDate || item?.["dc:date"] || "";
+    if (!rawDate) {
+      findings.push(createFinding("warning", "MISSING_PUBDATE", { item: reference }));
+    } else if (identity.publishedAt === null) {
+      findings.push(
+        createFinding("warning", "INVALID_PUBDATE", {
+          item: reference,
+          details: { value: String(rawDate) },
+        }),
+      );
+    }
+
+    if (!identity.guid) {
+      findings.push(createFinding("warning", "MISSING_GUID", { item: reference }));
+    } else if (seenGuids.has(identity.guid)) {
+      findings.push(
+        createFinding("error", "DUPLICATE_GUID", {
+          item: reference,
+          details: { guid: identity.guid, firstIndex: seenGuids.get(identity.guid) },
+        }),
+      );
+    } else {
+      seenGuids.set(identity.guid, index);
+    }
+
+    const duration = getItemDuration(item);
+    if (duration.raw !== "" && (duration.estimated || duration.seconds === null)) {
+      findings.push(
+        createFinding("warning", "INVALID_DURATION", {
+          item: reference,
+          details: { value: String(duration.raw) },
+        }),
+      );
+    }
+    return reference;
+  };
+
+  return {
+    check(text, { format, index, url }) {
+      cachedBytes += text.length;
+      if (cachedBytes <= MAX_RSS_BYTES) cachedItems += 1;
+      const validation = format === "xml" && !malformed ? XMLValidator.validate(text) : true;
+      let item;
+      try {
+        item = parseFeedItem(text, format);
+      } catch (error) {
+        findings.push(
+          createFinding("error", "PARSE_ERROR", {
+            item: { index, id: null, guid: null, title: null },
+            error: toAppError(error, "PARSE_ERROR"),
+          }),
+        );
+        return true;
+      }
+      const reference = checkItem(item, index, url);
+      if (validation !== true) malformed = toMalformedFinding(validation, reference);
+      return true;
+    },
+    get findings() {
+      return findings;
+    },
+    get malformed() {
+      return malformed;
+    },
+    get cachedItems() {
+      return cachedItems;
+    },
+  };
+};
+
+const summarize = (findings) =>
+  findings.reduce(
+    (summary, finding) => ({ ...summary, [finding.severity]: summary[finding.severity] + 1 }),
+    { error: 0, warning: 0, info: 0 },
+  );
+
+const toReport = (url, fetched, findings, locale, extra = {}) => {
+  const sorted = [...findings]
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .map((finding) => localizeFinding(finding, locale));
+  const summary = summarize(sorted);
+  return {
+    url,
+    finalUrl: fetched?.url || null,
+    bytes: fetched?.bytes ?? null,
+    maxBytes: MAX_RSS_BYTES,
+    ...extra,
+    valid: summary.error === 0,
+    summary,
+    findings: sorted,
+  };
+};
+
+const validateFeed = async (url, options = {}) => {
+  const { locale = DEFAULT_LOCALE } = options;
+  const checker = createItemChecker();
+  let fetched;
+  try {
+    fetched = await fetchFeed(url, { onItem: checker.check });
+  } catch (error) {
+    const appError = toAppError(error, "NETWORK_ERROR");
+    if (REQUEST_ERROR_CODES.includes(appError.code)) {
+      throw appError;
+    }
+    return toReport(
+      url,
+      null,
+      [
+        createFinding("error", "FETCH_FAILED", {
+          error: appError,
+          details: { code: appError.code, ...appError.details },
+        }),
+      ],
+      locale,
+    );
+  }
+
+  const findings = checkTransport(fetched, checker.cachedItems);
+  const header = fetched.header.replace(/^\uFEFF/, "").trim();
+
+  if (fetched.format === "xml") {
+    const validation = XMLValidator.validate(header);
+    if (validation !== true) {
+      findings.push(toMalformedFinding(validation));
+    } else if (checker.malformed) {
+      findings.push(checker.malformed);
+    }
+  }
+
+  let rssData;
+  try {
+    rssData = parseFeedDocument(header);
+  } catch (error) {
+    findings.push(
+      createFinding("error", "PARSE_ERROR", { error: toAppError(error, "PARSE_ERROR") }),
+    );
+    return toReport(url, fetched, findings, locale);
+  }
+
+  if (!hasPodcastInfo(extractPodcastInfo(rssData, url))) {
+    findings.push(
+      createFinding("error", "PARSE_ERROR", { error: createAppError("INVALID_FEED") }),
+    );
+    return toReport(url, fetched, findings, locale);
+  }
+
+  findings.push(...checkChannel(rssData, url, fetched.url || url));
+  if (!fetched.items) {
+    findings.push(createFinding("warning", "NO_EPISODES"));
+  }
+  findings.push(...checker.findings);
+
+  return toReport(url, fetched, findings, locale, {
+    format: extractPodcastInfo(rssData, url).format,
+    episodes: fetched.items,
+  });
+};
+
+module.exports = {
+  validateFeed,
+};
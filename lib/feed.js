@@ -0,0 +1,1693 @@
+const { createHash } = require("crypto");
+const { XMLParser } = require("fast-xml-parser");
+const sanitizeHtml = require("sanitize-html");
+const { decode } = require("he");
+const { createCacheStore } = require("./cache-store");
+const { mapWithConcurrency, createSingleFlight } = require("./concurrency");
+const { createAppError, toAppError } = require("./errors");
+const { MAX_RSS_BYTES, fetchRss, fetchFeed } = require("./fetch-rss");
+const { logDebug } = require("./logger");
+const { parseTimecode } = require("./timecode");
+const { parseTranscript } = require("./transcript");
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
+
+const PER_PAGE = 10;
+const MAX_LIMIT = 50;
+const RESOLVE_CONCURRENCY = 6;
+const PODCAST_CACHE_SECONDS = 60 * 60 * 48;
+const EPISODES_CACHE_SECONDS = 60 * 60 * 36;
+const FEED_CACHE_SECONDS = 60 * 10;
+const FEED_CACHE_MAX_ENTRIES = 200;
+const DEFAULT_BITRATE_KBPS = 128;
+const BITRATE_HINTS_KBPS = {
+  "audio/mpeg": 128,
+  "audio/mp3": 128,
+  "audio/mp4": 96,
+  "audio/x-m4a": 96,
+  "audio/aac": 96,
+  "audio/ogg": 96,
+  "audio/opus": 64,
+};
+const BLOCKQUOTE_OPEN_TOKEN = "__BLOCKQUOTE_OPEN__";
+const BLOCKQUOTE_CLOSE_TOKEN = "__BLOCKQUOTE_CLOSE__";
+
+const ensureArray = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  const timestamp = date.getTime();
+  if (Number.isNaN(timestamp)) {
+    return null;
+  }
+  return timestamp;
+};
+
+const buildEpisodeId = (episode = {}) => {
+  const fallbackSource = `${episode.title || ""}-${episode.publishedAt || ""}-${episode.audio || ""}`;
+  const source =
+    episode.guid ||
+    episode.id ||
+    episode.uid ||
+    episode.audio ||
+    episode.url ||
+    episode.link ||
+    fallbackSource;
+  return createHash("sha256").update(String(source)).digest("hex");
+};
+
+const escapeHtml = (value = "") => {
+  const text = value == null ? "" : String(value);
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+const addReadableSpacing = (value = "") => {
+  const text = value == null ? "" : String(value);
+  return text
+    .replace(/([\u4e00-\u9fa5])([A-Za-z0-9])/g, "$1 $2")
+    .replace(/([A-Za-z0-9])([\u4e00-\u9fa5])/g, "$1 $2");
+};
+
+const sanitizeOptions = {
+  allowedTags: [
+    "p",
+    "br",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "blockquote",
+    "code",
+    "pre",
+    "span",
+    "hr",
+    "sup",
+    "sub",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "dl",
+    "dt",
+    "dd",
+    "figure",
+    "figcaption",
+    "img",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+    "*": [],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName: "a",
+      attribs: {
+        ...attribs,
+        target: "_blank",
+        rel: "noopener noreferrer",
+      },
+    }),
+  },
+  textFilter: (text) => text,
+};
+
+const decodeHtml = (value) => {
+  if (!value || typeof value !== "string") {
+    return "";
+  }
+  return decode(value, { isAttributeValue: false, strict: false });
+};
+
+const toText = (value) => {
+  const decoded = decodeHtml(value);
+  if (!decoded) {
+    return "";
+  }
+  return decoded
+    .replace(/<(br|BR)\s*\/?>/g, "\n")
+    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+const convertHtmlToPlainText = (value = "") => {
+  const text = value == null ? "" : String(value);
+  return text
+    .replace(/<strong[^>]*>/gi, "__STRONG_OPEN__")
+    .replace(/<\/strong>/gi, "__STRONG_CLOSE__")
+    .replace(/<b[^>]*>/gi, "__STRONG_OPEN__")
+    .replace(/<\/b>/gi, "__STRONG_CLOSE__")
+    .replace(/<em[^>]*>/gi, "__EM_OPEN__")
+    .replace(/<\/em>/gi, "__EM_CLOSE__")
+    .replace(/<i[^>]*>/gi, "__EM_OPEN__")
+    .replace(/<\/i>/gi, "__EM_CLOSE__")
+    .replace(/<blockquote[^>]*>/gi, `\n\n${BLOCKQUOTE_OPEN_TOKEN}\n\n`)
+    .replace(/<\/blockquote>/gi, `\n\n${BLOCKQUOTE_CLOSE_TOKEN}\n\n`)
+    .replace(/<\s*br\s*\/?\s*>/gi, "\n")
+    .replace(/<\/p>/gi, "\n\n")
+    .replace(/<\/div>/gi, "\n\n")
+    .replace(/<\s*(h[1-6]|section|article)[^>]*>/gi, "\n\n")
+    .replace(/<\/\s*(h[1-6]|section|article)>/gi, "\n\n")
+    .replace(/<li[^>]*>/gi, "• ")
+    .replace(/<\/li>/gi, "\n")
+    .replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, "")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+const applyFormattingTokens = (input) => {
+  if (!input) {
+    return "";
+  }
+  const tokens = [
+    { open: "__STRONG_OPEN__", close: "__STRONG_CLOSE__", tag: "strong" },
+    { open: "__EM_OPEN__", close: "__EM_CLOSE__", tag: "em" },
+  ];
+
+  let output = input;
+
+  tokens.forEach(({ open, close, tag }) => {
+    let result = "";
+    let remaining = output;
+    let depth = 0;
+
+    while (remaining.length) {
+      const openIndex = remaining.indexOf(open);
+      const closeIndex = remaining.indexOf(close);
+
+      if (openIndex === -1 && closeIndex === -1) {
+        result += remaining;
+        break;
+      }
+
+      const useOpen = openIndex !== -1 && (closeIndex === -1 || openIndex < closeIndex);
+      const tokenIndex = useOpen ? openIndex : closeIndex;
+      const tokenLength = useOpen ? open.length : close.length;
+
+      result += remaining.slice(0, tokenIndex);
+      remaining = remaining.slice(tokenIndex + tokenLength);
+
+      if (useOpen) {
+        depth += 1;
+        result += `<${tag}>`;
+      } else if (depth > 0) {
+        depth -= 1;
+        result += `</${tag}>`;
+      }
+    }
+
+    while (depth > 0) {
+      result += `</${tag}>`;
+      depth -= 1;
+    }
+
+    output = result;
+  });
+
+  return output;
+};
+
+const highlightTimestampsInPlainText = (html) => {
+  return html.replace(/(^|[^0-9])(\d{1,2}:\d{2}(?::\d{2})?)(?![0-9:])/g, (match, prefix, time) => {
+    return `${prefix}<button class="timestamp" type="button" data-timestamp="${time}">${time}</button>`;
+  });
+};
+
+const highlightTimestampsInHtml = (html) => {
+  if (!html) {
+    return "";
+  }
+  const parts = String(html).split(/(<[^>]+>)/g);
+  const stack = [];
+  let timestampDepth = 0;
+  const isSelfClosing = (tag) => /\/\s*>$/.test(tag) || /^<\s*(br|hr)\b/i.test(tag);
+  const isTimestampTag = (tag) => {
+    return (
+      /\bclass\s*=\s*["'][^"']*\btimestamp\b[^"']*["']/i.test(tag) ||
+      /\bdata-timestamp\s*=/i.test(tag)
+    );
+  };
+
+  return parts
+    .map((segment) => {
+      if (!segment) {
+        return "";
+      }
+      if (segment.startsWith("<")) {
+        const closingMatch = segment.match(/^<\s*\/\s*([a-z0-9:-]+)/i);
+        if (closingMatch) {
+          const last = stack.pop();
+          if (last) {
+            timestampDepth = Math.max(0, timestampDepth - 1);
+          }
+          return segment;
+        }
+        if (isSelfClosing(segment)) {
+          return segment;
+        }
+        const isTimestamp = isTimestampTag(segment);
+        stack.push(isTimestamp);
+        if (isTimestamp) {
+          timestampDepth += 1;
+        }
+        return segment;
+      }
+
+      if (timestampDepth > 0) {
+        return segment;
+      }
+
+      return segment.replace(/(\d{1,2}:\d{2}(?::\d{2})?)/g, (match) => {
+        const trimmed = match.trim();
+        if (!trimmed) {
+          return match;
+        }
+        return `<button class="timestamp" type="button" data-timestamp="${trimmed}">${trimmed}</button>`;
+      });
+    })
+    .join("");
+};
+
+const buildHtmlFromPlainText = (text, escapeHtmlFn) => {
+  if (!text) {
+    return "";
+  }
+  const paragraphs = text
+    .split(/\n{2,}/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  if (!paragraphs.length) {
+    return "";
+  }
+
+  const wrapParagraph = (paragraph) => {
+    const safe = escapeHtmlFn(paragraph).replace(/\n/g, "<br />");
+    return `<p>${highlightTimestampsInPlainText(applyFormattingTokens(safe))}</p>`;
+  };
+
+  const htmlParagraphs = [];
+  let blockquoteBuffer = [];
+  let insideBlockquote = false;
+
+  const flushBlockquote = () => {
+    if (!blockquoteBuffer.length) {
+      insideBlockquote = false;
+      blockquoteBuffer = [];
+      return;
+    }
+    htmlParagraphs.push(`<blockquote>${blockquoteBuffer.join("")}</blockquote>`);
+    insideBlockquote = false;
+    blockquoteBuffer = [];
+  };
+
+  paragraphs.forEach((paragraph) => {
+    if (paragraph === BLOCKQUOTE_OPEN_TOKEN) {
+      if (insideBlockquote && blockquoteBuffer.length) {
+        flushBlockquote();
+      }
+      insideBlockquote = true;
+      return;
+    }
+    if (paragraph === BLOCKQUOTE_CLOSE_TOKEN) {
+      if (insideBlockquote) {
+        flushBlockquote();
+      }
+      return;
+    }
+    const wrapped = wrapParagraph(paragraph);
+    if (insideBlockquote) {
+      blockquoteBuffer.push(wrapped);
+    } else {
+      htmlParagraphs.push(wrapped);
+    }
+  });
+
+  if (insideBlockquote && blockquoteBuffer.length) {
+    flushBlockquote();
+  }
+
+  if (!htmlParagraphs.length) {
+    return "";
+  }
+  return `<div class="episode-detail-description">${htmlParagraphs.join("")}</div>`;
+};
+
+const buildEpisodeDescriptionHtml = (options = {}) => {
+  const { html, fallbackText, escapeHtml: escapeHtmlFn } = options;
+  const safeEscape = typeof escapeHtmlFn === "function" ? escapeHtmlFn : (value) => value;
+  const sanitizedHtml = html ? String(html).trim() : "";
+  if (sanitizedHtml) {
+    return `<div class="episode-detail-description">${highlightTimestampsInHtml(sanitizedHtml)}</div>`;
+  }
+
+  const safeFallback = fallbackText ? String(fallbackText).trim() : "";
+  if (!safeFallback) {
+    return "";
+  }
+  return buildHtmlFromPlainText(safeFallback, safeEscape);
+};
+
+const toRichHtml = (value) => {
+  const decoded = decodeHtml(value);
+  if (!decoded) {
+    return "";
+  }
+
+  return cleanEmptyHtml(sanitizeHtml(decoded, sanitizeOptions)).trim();
+};
+
+const cleanEmptyHtml = (html) => {
+  if (!html) return "";
+  let output = html;
+  const emptyTagPattern =
+    /<(span|p|div|section|article|strong|b|em|i|u|blockquote|code|pre|figure|figcaption)\b[^>]*>(?:\s|&nbsp;|<br\s*\/?>)*<\/\1>/gi;
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(emptyTagPattern, "");
+  } while (output !== previous);
+  return output.replace(/(?:<br\s*\/?>\s*){2,}/gi, "<br />").trim();
+};
+
+const toLink = (value) => {
+  if (!value) {
+    return "";
+  }
+  if (typeof value === "string") {
+    return decodeHtml(value).trim();
+  }
+  if (typeof value === "object") {
+    if (Array.isArray(value)) {
+      return value.length ? toLink(value[0]) : "";
+    }
+    if (typeof value?.["@_href"] === "string") {
+      return decodeHtml(value["@_href"]).trim();
+    }
+    if (typeof value?.url === "string") {
+      return decodeHtml(value.url).trim();
+    }
+    if (typeof value?.["#text"] === "string") {
+      return decodeHtml(value["#text"]).trim();
+    }
+  }
+  return "";
+};
+
+const parseFeedDocument = (content = "") => {
+  const text = String(content).replace(/^\uFEFF/, "").trim();
+  if (text.startsWith("{")) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw createAppError("PARSE_ERROR", {
+        details: { format: "jsonfeed", reason: error.message },
+      });
+    }
+  }
+  try {
+    return parser.parse(text);
+  } catch (error) {
+    throw createAppError("PARSE_ERROR", { details: { format: "xml", reason: error.message } });
+  }
+};
+
+const parseFeedItem = (text, format) => {
+  if (format === "json") {
+    try {
+      return normalizeJsonFeedItem(JSON.parse(text));
+    } catch (error) {
+      throw createAppError("PARSE_ERROR", {
+        details: { format: "jsonfeed", reason: error.message },
+      });
+    }
+  }
+  let parsed;
+  try {
+    parsed = parser.parse(text);
+  } catch (error) {
+    throw createAppError("PARSE_ERROR", { details: { format: "xml", reason: error.message } });
+  }
+  const [name = "", item] = Object.entries(parsed)[0] || [];
+  const rawItem = item && typeof item === "object" ? item : {};
+  return name.slice(name.indexOf(":") + 1).toLowerCase() === "entry"
+    ? normalizeAtomEntry(rawItem)
+    : rawItem;
+};
+
+const assembleFeedText = ({ format, header = "", itemOffset = null }, items) => {
+  if (itemOffset === null) return header;
+  const joined = items.join(format === "json" ? "," : "");
+  return `${header.slice(0, itemOffset)}${joined}${header.slice(itemOffset)}`;
+};
+
+const feedCache = createCacheStore({
+  type: process.env.CACHE_STORE,
+  directory: process.env.CACHE_DIR,
+  maxEntries: FEED_CACHE_MAX_ENTRIES,
+});
+
+const normalizeFeedUrl = (url) => {
+  const raw = String(url || "").trim();
+  try {
+    const parsedUrl = new URL(raw);
+    parsedUrl.hash = "";
+    return parsedUrl.href;
+  } catch (error) {
+    return raw;
+  }
+};
+
+const storeInCache = async (key, entry, ttlSeconds) => {
+  try {
+    await feedCache.set(key, entry, ttlSeconds);
+  } catch (error) {
+    console.error("[cache]", "write failed", { key, message: error?.message });
+  }
+  return entry;
+};
+
+const isFeedCacheFresh = (entry) =>
+  Boolean(entry) && Date.now() - entry.checkedAt < FEED_CACHE_SECONDS * 1000;
+
+const toLoadedFeed = (entry) => ({ parsed: entry.parsed, truncated: Boolean(entry.truncated) });
+
+const loadOnce = createSingleFlight();
+
+const fetchFeedWindow = async (feedUrl, cached) => {
+  const items = [];
+  let size = 0;
+  const result = await fetchFeed(feedUrl, {
+    etag: cached?.etag,
+    lastModified: cached?.lastModified,
+    onItem: (text) => {
+      size += text.length;
+      if (size <= MAX_RSS_BYTES) items.push(text);
+    },
+  });
+  return {
+    ...result,
+    text: assembleFeedText(result, items),
+    truncated: items.length < result.items,
+  };
+};
+
+const loadFeed = async (url, options = {}) => {
+  const { refresh = false, ttl = PODCAST_CACHE_SECONDS } = options;
+  const feedUrl = normalizeFeedUrl(url);
+  const key = `feed:${feedUrl}`;
+  const cached = await feedCache.get(key);
+
+  if (!refresh && isFeedCacheFresh(cached)) {
+    logDebug("cache hit", feedUrl);
+    return toLoadedFeed(cached);
+  }
+
+  return loadOnce(key, async () => {
+    const result = await fetchFeedWindow(feedUrl, cached);
+
+    if (result.notModified && cached) {
+      logDebug("cache revalidated", feedUrl);
+      await storeInCache(key, { ...cached, checkedAt: Date.now() }, ttl);
+      return toLoadedFeed(cached);
+    }
+
+    const entry = {
+      parsed: parseFeedDocument(result.text),
+      truncated: result.truncated,
+      etag: result.etag,
+      lastModified: result.lastModified,
+      checkedAt: Date.now(),
+    };
+    await storeInCache(key, entry, ttl);
+    return toLoadedFeed(entry);
+  });
+};
+
+const streamFeedEntries = (feedUrl, onEntry) =>
+  fetchFeed(feedUrl, {
+    onItem: (text, { format, index }) => {
+      const item = parseFeedItem(text, format);
+      return onEntry({ item, index, identity: getEpisodeIdentity(item, index) });
+    },
+  });
+
+const parseRssFeed = async (url, options = {}) => (await loadFeed(url, options)).parsed;
+
+const getRawItems = (rssData, format) => {
+  if (format === "atom") return ensureArray(rssData.feed?.entry);
+  if (format === "jsonfeed") return ensureArray(rssData.items);
+  return ensureArray(rssData.rss?.channel?.item);
+};
+
+const withRawItems = (rssData, format, items) => {
+  if (format === "atom") return { ...rssData, feed: { ...rssData.feed, entry: items } };
+  if (format === "jsonfeed") return { ...rssData, items };
+  return { ...rssData, rss: { ...rssData.rss, channel: { ...rssData.rss.channel, item: items } } };
+};
+
+const getItemIds = (rssData) =>
+  ensureArray(getChannelInfo(rssData)?.item).map(
+    (item, index) => getEpisodeIdentity(item, index).id,
+  );
+
+const mergeFeedDocuments = (cached, pushed) => {
+  const format = detectFeedFormat(pushed);
+  if (!cached || detectFeedFormat(cached) !== format) return pushed;
+  const pushedIds = new Set(getItemIds(pushed));
+  const cachedIds = getItemIds(cached);
+  const kept = getRawItems(cached, format).filter(
+    (item, index) => !pushedIds.has(cachedIds[index]),
+  );
+  return withRawItems(pushed, format, [...getRawItems(pushed, format), ...kept]);
+};
+
+const storeFeedDocument = async (url, content, options = {}) => {
+  const { ttl = PODCAST_CACHE_SECONDS } = options;
+  const feedUrl = normalizeFeedUrl(url);
+  const key = `feed:${feedUrl}`;
+  const pushed = parseFeedDocument(content);
+  if (!hasPodcastInfo(extractPodcastInfo(pushed, feedUrl))) {
+    throw createAppError("INVALID_FEED");
+  }
+  const cached = await feedCache.get(key);
+  const parsed = mergeFeedDocuments(cached?.parsed, pushed);
+  await storeInCache(
+    key,
+    {
+      parsed,
+      truncated: parsed !== pushed && Boolean(cached?.truncated),
+      etag: "",
+      lastModified: "",
+      checkedAt: Date.now(),
+    },
+    ttl,
+  );
+  logDebug("cache pushed", feedUrl);
+  return parsed;
+};
+
+const toTextValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) return value.length ? toTextValue(value[0]) : "";
+  if (typeof value === "object") return toTextValue(value["#text"]);
+  return "";
+};
+
+const plainTextToHtml = (value = "") => {
+  const text = value == null ? "" : String(value).trim();
+  if (!text) return "";
+  return text
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`)
+    .join("");
+};
+
+const detectFeedFormat = (rssData = {}) => {
+  if (rssData?.rss) return "rss";
+  if (rssData?.feed) return "atom";
+  if (
+    (typeof rssData?.version === "string" && rssData.version.includes("jsonfeed.org")) ||
+    Array.isArray(rssData?.items)
+  ) {
+    return "jsonfeed";
+  }
+  return "rss";
+};
+
+const findAtomLink = (links, rel) =>
+  ensureArray(links).find((link) => {
+    if (typeof link === "string") return rel === "alternate";
+    return (link?.["@_rel"] || "alternate") === rel;
+  });
+
+const toAtomHref = (link) => (typeof link === "string" ? link : link?.["@_href"] || "");
+
+const toAuthorNames = (authors) =>
+  ensureArray(authors)
+    .map((author) => toTextValue(author?.name ?? author))
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .join(", ");
+
+const normalizeAtomEntry = (entry = {}) => {
+  const enclosureLink = findAtomLink(entry.link, "enclosure");
+  const content = entry.content ?? "";
+  const summary = entry.summary ?? "";
+  return {
+    ...entry,
+    title: toTextValue(entry.title),
+    link: toAtomHref(findAtomLink(entry.link, "alternate")),
+    guid: toTextValue(entry.id),
+    author: toAuthorNames(entry.author),
+    pubDate: toTextValue(entry.published) || toTextValue(entry.updated),
+    description: toTextValue(summary),
+    "content:encoded": toTextValue(content),
+    enclosure: enclosureLink
+      ? {
+          "@_url": enclosureLink["@_href"] || "",
+          "@_type": enclosureLink["@_type"] || "",
+          "@_length": enclosureLink["@_length"] || "",
+        }
+      : undefined,
+  };
+};
+
+const normalizeAtomFeed = (feed = {}) => ({
+  ...feed,
+  title: toTextValue(feed.title),
+  author: toAuthorNames(feed.author),
+  link: toAtomHref(findAtomLink(feed.link, "alternate")),
+  description: toTextValue(feed.subtitle),
+  image: feed.logo || feed.icon ? { url: toTextValue(feed.logo || feed.icon) } : undefined,
+  item: ensureArray(feed.entry).map(normalizeAtomEntry),
+});
+
+const normalizeJsonFeedItem = (item = {}) => {
+  const attachment = ensureArray(item.attachments).find((entry) => entry?.url);
+  const authors = item.authors || item.author;
+  return {
+    ...item,
+    title: toTextValue(item.title),
+    link: item.url || item.external_url || "",
+    guid: toTextValue(item.id),
+    author: toAuthorNames(authors),
+    pubDate: item.date_published || item.date_modified || "",
+    description: toTextValue(item.summary),
+    "content:encoded": item.content_html || plainTextToHtml(item.content_text),
+    image: item.image || item.banner_image ? { url: item.image || item.banner_image } : undefined,
+    "itunes:duration":
+      attachment?.duration_in_seconds !== undefined ? String(attachment.duration_in_seconds) : "",
+    enclosure: attachment
+      ? {
+          "@_url": attachment.url,
+          "@_type": attachment.mime_type || "",
+          "@_length": attachment.size_in_bytes !== undefined ? String(attachment.size_in_bytes) : "",
+        }
+      : undefined,
+  };
+};
+
+const normalizeJsonFeed = (feed = {}) => ({
+  ...feed,
+  title: toTextValue(feed.title),
+  author: toAuthorNames(feed.authors || feed.author),
+  link: feed.home_page_url || "",
+  description: toTextValue(feed.description),
+  image: feed.icon || feed.favicon ? { url: feed.icon || feed.favicon } : undefined,
+  item: ensureArray(feed.items).map(normalizeJsonFeedItem),
+});
+
+const getChannelInfo = (rssData = {}) => {
+  const format = detectFeedFormat(rssData);
+  if (format === "atom") return normalizeAtomFeed(rssData.feed);
+  if (format === "jsonfeed") return normalizeJsonFeed(rssData);
+  return rssData?.rss?.channel || {};
+};
+
+const getFeedLinks = (rssData = {}) => {
+  const format = detectFeedFormat(rssData);
+  if (format === "jsonfeed") {
+    const hub = ensureArray(rssData.hubs).find(
+      (entry) => entry?.url && /websub|pubsubhubbub/i.test(entry.type || ""),
+    );
+    return { hub: hub?.url || "", self: rssData.feed_url || "" };
+  }
+
+  const channel = rssData?.rss?.channel || {};
+  const links =
+    format === "atom"
+      ? rssData.feed?.link
+      : [...ensureArray(channel["atom:link"]), ...ensureArray(channel["atom10:link"])];
+  return {
+    hub: toAtomHref(findAtomLink(links, "hub")).trim(),
+    self: toAtomHref(findAtomLink(links, "self")).trim(),
+  };
+};
+
+const getAttribute = (node, name) => {
+  if (!node || typeof node !== "object" || Array.isArray(node)) return "";
+  const value = node[`@_${name}`];
+  return value === undefined || value === null ? "" : String(value).trim();
+};
+
+const toNumberOrNull = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toTranscripts = (nodes) =>
+  ensureArray(nodes)
+    .map((node) => ({
+      url: getAttribute(node, "url"),
+      type: getAttribute(node, "type"),
+      language: getAttribute(node, "language"),
+      rel: getAttribute(node, "rel"),
+    }))
+    .filter((transcript) => transcript.url);
+
+const toChapters = (nodes) => {
+  const node = ensureArray(nodes).find((entry) => getAttribute(entry, "url"));
+  if (!node) return null;
+  return {
+    url: getAttribute(node, "url"),
+    type: getAttribute(node, "type"),
+  };
+};
+
+const toPersons = (nodes) =>
+  ensureArray(nodes)
+    .map((node) => ({
+      name: decodeHtml(toTextValue(node)).trim(),
+      role: getAttribute(node, "role") || "host",
+      group: getAttribute(node, "group") || "cast",
+      img: getAttribute(node, "img"),
+      href: getAttribute(node, "href"),
+    }))
+    .filter((person) => person.name);
+
+const toSoundbites = (nodes) =>
+  ensureArray(nodes)
+    .map((node) => ({
+      startTime: toNumberOrNull(getAttribute(node, "startTime")),
+      duration: toNumberOrNull(getAttribute(node, "duration")),
+      title: decodeHtml(toTextValue(node)).trim(),
+    }))
+    .filter((soundbite) => soundbite.startTime !== null && soundbite.duration !== null);
+
+const toFunding = (nodes) =>
+  ensureArray(nodes)
+    .map((node) => ({
+      url: getAttribute(node, "url"),
+      text: decodeHtml(toTextValue(node)).trim(),
+    }))
+    .filter((funding) => funding.url);
+
+const toValueBlocks = (nodes) =>
+  ensureArray(nodes)
+    .map((node) => ({
+      type: getAttribute(node, "type"),
+      method: getAttribute(node, "method"),
+      suggested: getAttribute(node, "suggested"),
+      recipients: ensureArray(node?.["podcast:valueRecipient"])
+        .map((recipient) => ({
+          name: getAttribute(recipient, "name"),
+          type: getAttribute(recipient, "type"),
+          address: getAttribute(recipient, "address"),
+          split: toNumberOrNull(getAttribute(recipient, "split")) ?? 0,
+          fee: getAttribute(recipient, "fee").toLowerCase() === "true",
+          customKey: getAttribute(recipient, "customKey"),
+          customValue: getAttribute(recipient, "customValue"),
+        }))
+        .filter((recipient) => recipient.address),
+    }))
+    .filter((block) => block.type);
+
+const toLocked = (node) => {
+  const value = toTextValue(node).trim().toLowerCase();
+  if (!value) return null;
+  return value === "yes" || value === "true";
+};
+
+const toNumberedTag = (node) => ({
+  number: toNumberOrNull(toTextValue(node)),
+  label: getAttribute(node, "name") || getAttribute(node, "display"),
+});
+
+const extractPodcastNamespaceChannel = (channel = {}) => {
+  const lockedNode = ensureArray(channel?.["podcast:locked"])[0];
+  return {
+    podcastGuid: toTextValue(channel?.["podcast:guid"]).trim(),
+    locked: toLocked(lockedNode),
+    lockedOwner: getAttribute(lockedNode, "owner"),
+    funding: toFunding(channel?.["podcast:funding"]),
+    persons: toPersons(channel?.["podcast:person"]),
+    value: toValueBlocks(channel?.["podcast:value"]),
+  };
+};
+
+const getItemSeason = (item = {}) =>
+  toNumberedTag(ensureArray(item?.["podcast:season"])[0]).number ??
+  toNumberOrNull(toTextValue(item?.["itunes:season"]));
+
+const getItemEpisodeType = (item = {}) =>
+  toTextValue(item?.["itunes:episodeType"]).trim().toLowerCase() || "full";
+
+const extractPodcastNamespaceItem = (item = {}) => {
+  const season = toNumberedTag(ensureArray(item?.["podcast:season"])[0]);
+  const episode = toNumberedTag(ensureArray(item?.["podcast:episode"])[0]);
+  return {
+    season: getItemSeason(item),
+    seasonName: season.label,
+    episode: episode.number ?? toNumberOrNull(toTextValue(item?.["itunes:episode"])),
+    episodeDisplay: episode.label,
+    transcripts: toTranscripts(item?.["podcast:transcript"]),
+    chapters: toChapters(item?.["podcast:chapters"]),
+    persons: toPersons(item?.["podcast:person"]),
+    soundbites: toSoundbites(item?.["podcast:soundbite"]),
+    value: toValueBlocks(item?.["podcast:value"]),
+  };
+};
+
+const keepImage = (image) => image;
+
+const extractPodcastInfo = (rssData = {}, rssUrl, options = {}) => {
+  const { rewriteImage = keepImage } = options;
+  const channel = getChannelInfo(rssData);
+
+  const name = channel?.title || "";
+  const author =
+    channel?.["itunes:author"] ||
+    channel?.author ||
+    channel?.managingEditor ||
+    "";
+
+  const image =
+    channel?.["itunes:image"]?.["@_href"] ||
+    channel?.image?.url ||
+    channel?.["itunes:image"] ||
+    "";
+
+  const website =
+    channel?.link ||
+    channel?.["itunes:link"] ||
+    (Array.isArray(channel?.link) ? channel?.link?.[0] : "");
+
+  const rawDescription =
+    channel?.["itunes:summary"] ||
+    channel?.description ||
+    channel?.["itunes:subtitle"] ||
+    "";
+  const descriptionHtml = toRichHtml(rawDescription) || "";
+  const descriptionText = toText(rawDescription) || "";
+  const feedLinks = getFeedLinks(rssData);
+
+  return {
+    name,
+    author,
+    rss: rssUrl,
+    image: rewriteImage(image),
+    website,
+    description_html: descriptionHtml,
+    description_text: descriptionText,
+    format: detectFeedFormat(rssData),
+    websub: feedLinks.hub ? feedLinks : null,
+    ...extractPodcastNamespaceChannel(channel),
+  };
+};
+
+const hasPodcastInfo = (podcast) =>
+  Boolean(
+    podcast &&
+      (podcast.name ||
+        podcast.author ||
+        podcast.image ||
+        podcast.website ||
+        podcast.description_html ||
+        podcast.description_text),
+  );
+
+const toEnclosure = (enclosure) => {
+  if (!enclosure) return {};
+  if (Array.isArray(enclosure)) {
+    return enclosure[0] || {};
+  }
+  return enclosure;
+};
+
+const getEpisodeDefaults = (channel = {}) => ({
+  author:
+    channel?.["itunes:author"] ||
+    channel?.author ||
+    channel?.managingEditor ||
+    "",
+  image:
+    channel?.["itunes:image"]?.["@_href"] ||
+    channel?.image?.url ||
+    channel?.["itunes:image"] ||
+    "",
+});
+
+const getEpisodeIdentity = (item = {}, index = 0) => {
+  const enclosure = toEnclosure(item?.enclosure);
+  const episodeLink =
+    toLink(item?.link) ||
+    toLink(item?.guid) ||
+    toLink(item?.["feedburner:origLink"]) ||
+    toLink(enclosure?.url) ||
+    "";
+  const publishedAt = parseTimestamp(item?.pubDate || item?.["dc:date"] || "");
+  const title = item?.title || `Episode ${index + 1}`;
+  const rawGuid = item?.guid;
+  const rawId = item?.id;
+  const rawUid = item?.uid;
+  const guidValue = toLink(rawGuid) || (typeof rawGuid === "string" ? rawGuid.trim() : "");
+  const idValue = toLink(rawId) || (typeof rawId === "string" ? rawId.trim() : "");
+  const uidValue = toLink(rawUid) || (typeof rawUid === "string" ? rawUid.trim() : "");
+  const audioUrl = enclosure?.["@_url"] || enclosure?.url || "";
+  const idSource = {
+    guid: guidValue,
+    id: idValue,
+    uid: uidValue,
+    audio: audioUrl,
+    url: episodeLink,
+    link: episodeLink,
+    title,
+    publishedAt,
+  };
+
+  return {
+    id: buildEpisodeId(idSource),
+    guid: guidValue || idValue || uidValue || "",
+    title,
+    publishedAt,
+    audio: audioUrl,
+    link: episodeLink,
+  };
+};
+
+const parseDurationSeconds = (value) => {
+  const seconds = parseTimecode(toTextValue(value));
+  return seconds !== null && seconds >= 0 ? seconds : null;
+};
+
+const estimateDurationSeconds = (enclosure = {}) => {
+  const bytes = toNumberOrNull(getAttribute(enclosure, "length"));
+  if (!bytes || bytes <= 0) return null;
+  const type = getAttribute(enclosure, "type").toLowerCase();
+  const kbps = BITRATE_HINTS_KBPS[type] || DEFAULT_BITRATE_KBPS;
+  return Math.round((bytes * 8) / (kbps * 1000));
+};
+
+const getItemDuration = (item = {}) => {
+  const raw = item?.["itunes:duration"] || item?.duration || "";
+  const parsedSeconds = parseDurationSeconds(raw);
+  if (parsedSeconds !== null) {
+    return { raw, seconds: parsedSeconds, estimated: false };
+  }
+  const estimatedSeconds = estimateDurationSeconds(toEnclosure(item?.enclosure));
+  return { raw, seconds: estimatedSeconds, estimated: estimatedSeconds !== null };
+};
+
+const toEpisode = (item = {}, index = 0, defaults = {}) => {
+  const identity = getEpisodeIdentity(item, index);
+  const rawDescription = item?.["content:encoded"] || item?.description || "";
+  const descriptionHtml = toRichHtml(rawDescription);
+  const image =
+    item?.["itunes:image"]?.["@_href"] ||
+    item?.image?.url ||
+    item?.["itunes:image"] ||
+    defaults.image ||
+    "";
+
+  const author =
+    item?.["itunes:author"] ||
+    item?.author ||
+    item?.creator ||
+    defaults.author ||
+    "";
+  const fallbackDescriptionText = addReadableSpacing(convertHtmlToPlainText(rawDescription)).trim();
+  const descriptionWithTimestamps = buildEpisodeDescriptionHtml({
+    html: descriptionHtml,
+    fallbackText: fallbackDescriptionText,
+    escapeHtml,
+  });
+  const duration = getItemDuration(item);
+  const episodePayload = {
+    title: identity.title,
+    author,
+    publishedAt: identity.publishedAt,
+    duration: duration.raw,
+    durationSeconds: duration.seconds,
+    durationEstimated: duration.estimated,
+    audio: identity.audio,
+    image,
+    description_html: descriptionWithTimestamps,
+    description_text: toText(rawDescription),
+    url: identity.link,
+    link: identity.link,
+    guid: identity.guid,
+    episodeType: getItemEpisodeType(item),
+    ...extractPodcastNamespaceItem(item),
+  };
+
+  return {
+    id: identity.id,
+    ...episodePayload,
+  };
+};
+
+const encodeCursor = (episode, offset) =>
+  Buffer.from(
+    JSON.stringify({
+      id: episode.id,
+      t: episode.publishedAt ?? null,
+      o: offset,
+    }),
+  ).toString("base64url");
+
+const decodeCursor = (value) => {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  if (!text) {
+    return { id: null, publishedAt: null, offset: 0 };
+  }
+  if (/^-?\d+$/.test(text)) {
+    return { id: null, publishedAt: null, offset: Math.max(0, Number.parseInt(text, 10)) };
+  }
+  try {
+    const data = JSON.parse(Buffer.from(text, "base64url").toString("utf8"));
+    if (typeof data?.id === "string" && data.id) {
+      return {
+        id: data.id,
+        publishedAt: typeof data.t === "number" ? data.t : null,
+        offset: Number.isInteger(data.o) && data.o >= 0 ? data.o : 0,
+      };
+    }
+  } catch (error) {
+    logDebug("invalid cursor", text);
+  }
+  return null;
+};
+
+const isAfterCursor = (identity, cursor = {}, filters = {}) => {
+  if (identity.publishedAt === null || cursor.publishedAt === null) return false;
+  return filters.sort === "oldest"
+    ? identity.publishedAt > cursor.publishedAt
+    : identity.publishedAt < cursor.publishedAt;
+};
+
+const resolveCursorStart = (entries = [], cursor = {}, filters = {}) => {
+  if (!cursor.id) {
+    return cursor.offset || 0;
+  }
+  const index = entries.findIndex((entry) => entry.identity.id === cursor.id);
+  if (index !== -1) {
+    return index + 1;
+  }
+  const nextIndex = entries.findIndex(({ identity }) => isAfterCursor(identity, cursor, filters));
+  if (nextIndex !== -1) {
+    return nextIndex;
+  }
+  return Math.min(cursor.offset || 0, entries.length);
+};
+
+const comparePublishedAt = (direction) => (a, b) => {
+  const left = a.identity.publishedAt;
+  const right = b.identity.publishedAt;
+  if (left === right) return a.index - b.index;
+  if (left === null) return 1;
+  if (right === null) return -1;
+  return direction === "oldest" ? left - right : right - left;
+};
+
+const matchesEpisodeFilters = (entry, filters = {}) => {
+  const { since, until, season, episodeTypes, terms } = filters;
+  const { item, identity } = entry;
+  if (since !== undefined || until !== undefined) {
+    if (identity.publishedAt === null) return false;
+    if (since !== undefined && identity.publishedAt < since) return false;
+    if (until !== undefined && identity.publishedAt > until) return false;
+  }
+  if (season !== undefined && getItemSeason(item) !== season) {
+    return false;
+  }
+  if (episodeTypes?.length && !episodeTypes.includes(getItemEpisodeType(item))) {
+    return false;
+  }
+  if (terms?.length) {
+    const rawDescription = item?.["content:encoded"] || item?.description || "";
+    const haystack = `${identity.title}\n${toText(rawDescription)}`.toLowerCase();
+    if (!terms.every((term) => haystack.includes(term))) return false;
+  }
+  return true;
+};
+
+const toEpisodeEntries = (rssData = {}) =>
+  ensureArray(getChannelInfo(rssData)?.item).map((item, index) => ({
+    item,
+    index,
+    identity: getEpisodeIdentity(item, index),
+  }));
+
+const selectEpisodeEntries = (rssData = {}, filters = {}) => {
+  const entries = toEpisodeEntries(rssData).filter((entry) =>
+    matchesEpisodeFilters(entry, filters),
+  );
+  if (filters.sort === "newest" || filters.sort === "oldest") {
+    entries.sort(comparePublishedAt(filters.sort));
+  }
+  return entries;
+};
+
+const extractEpisodesPage = (
+  rssData = {},
+  start = 0,
+  limit = PER_PAGE,
+  filters = {},
+  options = {},
+) => {
+  const { rewriteImage = keepImage } = options;
+  const channel = getChannelInfo(rssData);
+  const defaults = getEpisodeDefaults(channel);
+  const entries = selectEpisodeEntries(rssData, filters);
+  const offset = typeof start === "number" ? start : resolveCursorStart(entries, start, filters);
+
+  const episodes = entries
+    .slice(offset, offset + limit)
+    .map(({ item, index }) => toEpisode(item, index, defaults))
+    .map((episode) => ({ ...episode, image: rewriteImage(episode.image) }));
+
+  return { total: entries.length, start: offset, episodes };
+};
+
+const isExplicitValue = (value) =>
+  ["yes", "true", "explicit"].includes(toTextValue(value).trim().toLowerCase());
+
+const extractFeedDocument = (rssData = {}, rssUrl, options = {}) => {
+  const { limit = 0 } = options;
+  const channel = getChannelInfo(rssData);
+  const defaults = getEpisodeDefaults(channel);
+  const podcast = extractPodcastInfo(rssData, rssUrl);
+  const entries = selectEpisodeEntries(rssData);
+  const selected = limit > 0 ? entries.slice(0, limit) : entries;
+
+  return {
+    podcast: {
+      ...podcast,
+      name: toTextValue(podcast.name),
+      author: toTextValue(podcast.author),
+      image: resolveUrl(toLink(podcast.image), rssUrl),
+      website: resolveUrl(toLink(podcast.website), rssUrl),
+      language: toTextValue(channel?.language).trim(),
+      explicit: isExplicitValue(channel?.["itunes:explicit"]),
+    },
+    episodes: selected.map(({ item, index }) => {
+      const episode = toEpisode(item, index, defaults);
+      const enclosure = toEnclosure(item?.enclosure);
+      return {
+        ...episode,
+        title: toTextValue(episode.title),
+        author: toTextValue(episode.author),
+        audio: resolveUrl(episode.audio, rssUrl),
+        image: resolveUrl(toLink(episode.image), rssUrl),
+        link:
+          resolveUrl(toLink(item?.link), rssUrl) ||
+          (/^https?:\/\//i.test(episode.link) ? episode.link : ""),
+        description_html: toRichHtml(item?.["content:encoded"] || item?.description || ""),
+        explicit: isExplicitValue(item?.["itunes:explicit"]),
+        enclosure: {
+          type: getAttribute(enclosure, "type"),
+          length: getAttribute(enclosure, "length"),
+        },
+      };
+    }),
+  };
+};
+
+const findEpisode = (rssData = {}, episodeKey) => {
+  const key = String(episodeKey || "").trim();
+  if (!key) {
+    return null;
+  }
+  const channel = getChannelInfo(rssData);
+  const items = ensureArray(channel?.item);
+  const identities = items.map((item, itemIndex) => getEpisodeIdentity(item, itemIndex));
+  let index = identities.findIndex((identity) => identity.id === key);
+  if (index === -1) {
+    index = identities.findIndex((identity) => identity.guid && identity.guid === key);
+  }
+  if (index === -1) {
+    return null;
+  }
+  return {
+    index,
+    total: items.length,
+    item: items[index],
+    episode: toEpisode(items[index], index, getEpisodeDefaults(channel)),
+    previousId: index > 0 ? identities[index - 1].id : null,
+    nextId: index < items.length - 1 ? identities[index + 1].id : null,
+  };
+};
+
+const toPage = (entries, start, total, hasMore, channel, rewriteImage) => {
+  const defaults = getEpisodeDefaults(channel);
+  return {
+    total,
+    start,
+    hasMore,
+    episodes: entries
+      .map(({ item, index }) => toEpisode(item, index, defaults))
+      .map((episode) => ({ ...episode, image: rewriteImage(episode.image) })),
+  };
+};
+
+const createPageCollector = (cursor, limit, filters) => {
+  const offset = cursor.offset || 0;
+  const kept = new Map();
+  let count = 0;
+  let idStart = cursor.id ? null : offset;
+  let timeStart = null;
+
+  const resolveStart = () => idStart ?? timeStart ?? Math.min(offset, count);
+  const isCandidate = (position, start) =>
+    start !== null && position >= start && position <= start + limit;
+
+  return {
+    add(entry) {
+      if (!matchesEpisodeFilters(entry, filters)) return true;
+      const position = count;
+      count += 1;
+      if (cursor.id && entry.identity.id === cursor.id && idStart === null) {
+        idStart = position + 1;
+        return true;
+      }
+      if (cursor.id && timeStart === null && isAfterCursor(entry.identity, cursor, filters)) {
+        timeStart = position;
+      }
+      if ([idStart, timeStart, offset].some((start) => isCandidate(position, start))) {
+        kept.set(position, { item: entry.item, index: entry.index });
+      }
+      return idStart === null || count <= idStart + limit;
+    },
+    toPage(complete) {
+      const start = resolveStart();
+      const entries = [];
+      for (let position = start; position < start + limit && kept.has(position); position += 1) {
+        entries.push(kept.get(position));
+      }
+      return {
+        entries,
+        start,
+        total: complete ? count : null,
+        hasMore: complete ? start + entries.length < count : true,
+      };
+    },
+  };
+};
+
+const collectPage = async (parsed, feedUrl, cursor, limit, filters) => {
+  const windowCollector = createPageCollector(cursor, limit, filters);
+  const stopped = toEpisodeEntries(parsed).some((entry) => !windowCollector.add(entry));
+  if (stopped) return windowCollector.toPage(false);
+
+  const collector = createPageCollector(cursor, limit, filters);
+  const result = await streamFeedEntries(feedUrl, collector.add);
+  return collector.toPage(result.complete);
+};
+
+const collectSortedPage = async (feedUrl, cursor, limit, filters) => {
+  const entries = [];
+  await streamFeedEntries(feedUrl, ({ item, index, identity }) => {
+    if (matchesEpisodeFilters({ item, identity }, filters)) entries.push({ index, identity });
+    return true;
+  });
+  entries.sort(comparePublishedAt(filters.sort));
+  const start = resolveCursorStart(entries, cursor, filters);
+  const selected = entries.slice(start, start + limit);
+  const items = new Map(selected.map(({ index }) => [index, null]));
+
+  if (items.size) {
+    let remaining = items.size;
+    await streamFeedEntries(feedUrl, ({ item, index }) => {
+      if (!items.has(index)) return true;
+      items.set(index, item);
+      remaining -= 1;
+      return remaining > 0;
+    });
+  }
+
+  return {
+    entries: selected
+      .map(({ index }) => ({ item: items.get(index), index }))
+      .filter(({ item }) => item),
+    start,
+    total: entries.length,
+    hasMore: start + selected.length < entries.length,
+  };
+};
+
+const loadEpisodesPage = async (url, cursor = {}, limit = PER_PAGE, filters = {}, options = {}) => {
+  const { rewriteImage = keepImage, ...loadOptions } = options;
+  const { parsed, truncated } = await loadFeed(url, loadOptions);
+
+  if (!truncated) {
+    const page = extractEpisodesPage(parsed, cursor, limit, filters, { rewriteImage });
+    return {
+      parsed,
+      truncated,
+      ...page,
+      hasMore: page.start + page.episodes.length < page.total,
+    };
+  }
+
+  const feedUrl = normalizeFeedUrl(url);
+  const sorted = filters.sort === "newest" || filters.sort === "oldest";
+  const { entries, start, total, hasMore } = sorted
+    ? await collectSortedPage(feedUrl, cursor, limit, filters)
+    : await collectPage(parsed, feedUrl, cursor, limit, filters);
+  const channel = getChannelInfo(parsed);
+  return { parsed, truncated, ...toPage(entries, start, total, hasMore, channel, rewriteImage) };
+};
+
+const streamEpisode = async (feedUrl, episodeKey, channel) => {
+  const key = String(episodeKey || "").trim();
+  if (!key) {
+    return null;
+  }
+  let previousId = null;
+  let found = null;
+  let guidMatch = null;
+
+  const result = await streamFeedEntries(feedUrl, (entry) => {
+    const { id, guid } = entry.identity;
+    if (found) {
+      found.nextId = id;
+      return false;
+    }
+    if (guidMatch && guidMatch.nextId === undefined) {
+      guidMatch.nextId = id;
+    }
+    if (id === key) {
+      found = { ...entry, previousId };
+    } else if (!guidMatch && guid && guid === key) {
+      guidMatch = { ...entry, previousId };
+    }
+    previousId = id;
+    return true;
+  });
+
+  const match = found || guidMatch;
+  if (!match) {
+    return null;
+  }
+  return {
+    index: match.index,
+    total: result.complete ? result.items : null,
+    item: match.item,
+    episode: toEpisode(match.item, match.index, getEpisodeDefaults(channel)),
+    previousId: match.previousId,
+    nextId: match.nextId ?? null,
+  };
+};
+
+const loadEpisode = async (url, episodeKey, options = {}) => {
+  const { parsed, truncated } = await loadFeed(url, options);
+  const match = findEpisode(parsed, episodeKey);
+  if (!truncated) {
+    return { parsed, match };
+  }
+  if (match?.nextId) {
+    return { parsed, match: { ...match, total: null } };
+  }
+  const channel = getChannelInfo(parsed);
+  return { parsed, match: await streamEpisode(normalizeFeedUrl(url), episodeKey, channel) };
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return "";
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return "";
+  }
+};
+
+const toChapter = ({ start, title, url, img }) => ({
+  start,
+  title,
+  ...(url ? { url } : {}),
+  ...(img ? { img } : {}),
+});
+
+const normalizeChapterList = (chapters = []) => {
+  const seen = new Set();
+  return chapters
+    .filter((chapter) => chapter && chapter.start !== null && chapter.start >= 0 && chapter.title)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter) => {
+      if (seen.has(chapter.start)) return false;
+      seen.add(chapter.start);
+      return true;
+    })
+    .map(toChapter);
+};
+
+const parseJsonChapters = (content, baseUrl) => {
+  const data = JSON.parse(String(content || "").replace(/^\uFEFF/, ""));
+  return ensureArray(data?.chapters).map((chapter) => ({
+    start: toNumberOrNull(chapter?.startTime),
+    title: toTextValue(chapter?.title).trim(),
+    url: resolveUrl(chapter?.url, baseUrl),
+    img: resolveUrl(chapter?.img, baseUrl),
+  }));
+};
+
+const extractPscChapters = (item = {}, baseUrl) =>
+  ensureArray(item?.["psc:chapters"])
+    .flatMap((group) => ensureArray(group?.["psc:chapter"]))
+    .map((node) => ({
+      start: parseTimecode(getAttribute(node, "start")),
+      title: getAttribute(node, "title"),
+      url: resolveUrl(getAttribute(node, "href"), baseUrl),
+      img: resolveUrl(getAttribute(node, "image"), baseUrl),
+    }));
+
+const extractDescriptionChapters = (item = {}) => {
+  const text = toText(item?.["content:encoded"] || item?.description || "");
+  const chapters = text
+    .split("\n")
+    .map((line) => {
+      const match = line.match(/(^|[^0-9])(\d{1,2}:\d{2}(?::\d{2})?)(?![0-9:])/);
+      if (!match) return null;
+      const title = line
+        .replace(match[2], "")
+        .replace(/^[\s\-–—:|·•()[\]]+|[\s\-–—:|·•()[\]]+$/g, "")
+        .trim();
+      return { start: parseTimecode(match[2]), title };
+    })
+    .filter(Boolean);
+  const normalized = normalizeChapterList(chapters);
+  return normalized.length >= 2 ? normalized : [];
+};
+
+const loadCached = async (key, loader, options = {}) => {
+  const { refresh = false, ttl = EPISODES_CACHE_SECONDS } = options;
+  if (!refresh) {
+    const cached = await feedCache.get(key);
+    if (cached !== undefined) return cached;
+  }
+  const value = await loader();
+  await storeInCache(key, value, ttl);
+  return value;
+};
+
+const fetchJsonChapters = (chaptersUrl, options = {}) =>
+  loadCached(
+    `chapters:${normalizeFeedUrl(chaptersUrl)}`,
+    async () => {
+      const { body } = await fetchRss(chaptersUrl);
+      return parseJsonChapters(body, chaptersUrl);
+    },
+    options,
+  );
+
+const fetchTranscript = (transcript, options = {}) =>
+  loadCached(
+    `transcript:${normalizeFeedUrl(transcript.url)}`,
+    async () => {
+      const { body } = await fetchRss(transcript.url);
+      return parseTranscript(body, transcript.type);
+    },
+    options,
+  );
+
+const resolveEpisodeChapters = async (item = {}, options = {}) => {
+  const { refresh = false, baseUrl } = options;
+  const chaptersTag = toChapters(item?.["podcast:chapters"]);
+  const chaptersUrl = resolveUrl(chaptersTag?.url, baseUrl);
+
+  if (chaptersUrl) {
+    try {
+      const chapters = normalizeChapterList(await fetchJsonChapters(chaptersUrl, { refresh }));
+      if (chapters.length) {
+        return { source: "podcast:chapters", chapters };
+      }
+    } catch (error) {
+      logDebug("chapters failed", { url: chaptersUrl, message: error?.message });
+    }
+  }
+
+  const pscChapters = normalizeChapterList(extractPscChapters(item, baseUrl));
+  if (pscChapters.length) {
+    return { source: "psc", chapters: pscChapters };
+  }
+
+  const descriptionChapters = extractDescriptionChapters(item);
+  if (descriptionChapters.length) {
+    return { source: "description", chapters: descriptionChapters };
+  }
+
+  return { source: null, chapters: [] };
+};
+
+const getEpisodeFingerprint = (item = {}, identity = {}) =>
+  createHash("sha256")
+    .update(
+      JSON.stringify([
+        identity.title,
+        identity.audio,
+        identity.publishedAt,
+        toTextValue(item?.["content:encoded"] || item?.description),
+      ]),
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+const extractFeedUpdates = (rssData = {}, options = {}) => {
+  const { sinceId, since, limit = MAX_LIMIT } = options;
+  const channel = getChannelInfo(rssData);
+  const entries = selectEpisodeEntries(rssData).map((entry) => ({
+    ...entry,
+    fingerprint: getEpisodeFingerprint(entry.item, entry.identity),
+  }));
+  const fingerprints = Object.fromEntries(
+    entries.map((entry) => [entry.identity.id, entry.fingerprint]),
+  );
+  const hash = createHash("sha256")
+    .update(
+      JSON.stringify([
+        extractPodcastInfo(rssData, ""),
+        entries.map((entry) => [entry.identity.id, entry.fingerprint]),
+      ]),
+    )
+    .digest("hex");
+
+  let newer = entries;
+  let sinceFound = null;
+  if (sinceId) {
+    const markerIndex = entries.findIndex((entry) => entry.identity.id === sinceId);
+    sinceFound = markerIndex !== -1;
+    if (sinceFound) {
+      const markerTime = entries[markerIndex].identity.publishedAt;
+      newer = entries.filter(({ identity }, index) => {
+        if (index === markerIndex) return false;
+        if (markerTime !== null && identity.publishedAt !== null) {
+          return identity.publishedAt > markerTime;
+        }
+        return index < markerIndex;
+      });
+    }
+  } else if (since !== undefined) {
+    newer = entries.filter(
+      ({ identity }) => identity.publishedAt !== null && identity.publishedAt > since,
+    );
+  }
+
+  newer.sort(comparePublishedAt("newest"));
+  const defaults = getEpisodeDefaults(channel);
+
+  return {
+    hash,
+    sinceFound,
+    total: newer.length,
+    episodes: newer
+      .slice(0, limit)
+      .map(({ item, index, fingerprint }) => ({
+        ...toEpisode(item, index, defaults),
+        fingerprint,
+      })),
+    fingerprints,
+  };
+};
+
+const resolvePodcasts = (entries = [], options = {}) => {
+  const { refresh = false } = options;
+  return mapWithConcurrency(entries, RESOLVE_CONCURRENCY, async ({ url, limit = 0 }) => {
+    if (!url) {
+      return { url, ok: false, error: createAppError("MISSING_URL") };
+    }
+    try {
+      const parsed = await parseRssFeed(url, {
+        refresh,
+        ttl: PODCAST_CACHE_SECONDS,
+      });
+      const podcast = extractPodcastInfo(parsed, url);
+      if (!limit) {
+        return { url, ok: true, podcast };
+      }
+      const { total, episodes } = extractEpisodesPage(parsed, 0, limit);
+      return { url, ok: true, podcast, total, episodes };
+    } catch (error) {
+      return { url, ok: false, error: toAppError(error, "PARSE_ERROR") };
+    }
+  });
+};
+
+module.exports = {
+  PER_PAGE,
+  MAX_LIMIT,
+  PODCAST_CACHE_SECONDS,
+  EPISODES_CACHE_SECONDS,
+  ensureArray,
+  parseTimestamp,
+  toNumberOrNull,
+  toTextValue,
+  toLink,
+  resolveUrl,
+  parseFeedDocument,
+  parseFeedItem,
+  loadFeed,
+  parseRssFeed,
+  loadEpisodesPage,
+  loadEpisode,
+  storeFeedDocument,
+  getFeedLinks,
+  getChannelInfo,
+  getEpisodeIdentity,
+  getItemDuration,
+  extractPodcastInfo,
+  hasPodcastInfo,
+  extractEpisodesPage,
+  extractFeedDocument,
+  findEpisode,
+  encodeCursor,
+  decodeCursor,
+  resolveEpisodeChapters,
+  fetchTranscript,
+  resolvePodcasts,
+  extractFeedUpdates,
+};
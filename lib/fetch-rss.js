@@ -0,0 +1,546 @@
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+const { logDebug } = require("./logger");
+const { decodeText } = require("./charset");
+const { createFeedReader } = require("./feed-reader");
+const { createKeyedLimiter, createSingleFlight } = require("./concurrency");
+const { createAppError, isAppError } = require("./errors");
+const { createPolicyLookup, guardSocket } = require("./network-policy");
+
+const MAX_REDIRECTS = 3;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RSS_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_ACCEPT = "image/avif, image/webp, image/png, image/jpeg, image/*;q=0.8";
+const THROTTLE_STATUS_CODES = [429, 503];
+const BACKOFF_BASE_SECONDS = 15;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const MAX_TRACKED_ENTRIES = 1000;
+
+const toNonNegativeInteger = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const HOST_CONCURRENCY = Math.max(1, toNonNegativeInteger(process.env.FETCH_HOST_CONCURRENCY, 4));
+const NEGATIVE_CACHE_SECONDS = toNonNegativeInteger(process.env.FETCH_NEGATIVE_CACHE_SECONDS, 60);
+
+const runPerHost = createKeyedLimiter(HOST_CONCURRENCY);
+const runOnce = createSingleFlight();
+const hostBackoff = new Map();
+const failedFeeds = new Map();
+
+const createDecompressor = (encoding = "") => {
+  const normalized = String(encoding).trim().toLowerCase();
+  if (normalized === "gzip" || normalized === "x-gzip") return zlib.createGunzip();
+  if (normalized === "deflate") return zlib.createInflate();
+  if (normalized === "br") return zlib.createBrotliDecompress();
+  return null;
+};
+
+const createBodyReader = (maxBytes, errorCode, toBody) => {
+  const chunks = [];
+  let bytes = 0;
+
+  return {
+    push(chunk) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        throw createAppError(errorCode, { params: { maxBytes }, details: { maxBytes } });
+      }
+      chunks.push(chunk);
+      return false;
+    },
+    finish: () => ({ body: toBody(Buffer.concat(chunks)), bytes }),
+  };
+};
+
+const createReader = (parsedUrl, headers, options) => {
+  const { binary, maxBytes, onItem } = options;
+  const contentType = headers["content-type"] || "";
+  if (binary) return createBodyReader(maxBytes, "IMAGE_TOO_LARGE", (buffer) => buffer);
+  if (!onItem) {
+    return createBodyReader(maxBytes, "TOO_LARGE", (buffer) => decodeText(buffer, contentType));
+  }
+  return createFeedReader({
+    contentType,
+    maxBytes,
+    onItem: (text, context) => onItem(text, { ...context, url: parsedUrl.href }),
+  });
+};
+
+const toFeedUrl = (targetUrl) => {
+  try {
+    return new URL(targetUrl);
+  } catch (error) {
+    throw createAppError("INVALID_URL");
+  }
+};
+
+const parseRetryAfter = (value) => {
+  const raw = String(value || "").trim();
+  if (!raw) return 0;
+  if (/^\d+$/.test(raw)) return Number.parseInt(raw, 10);
+  const date = Date.parse(raw);
+  return Number.isFinite(date) ? Math.max(0, Math.ceil((date - Date.now()) / 1000)) : 0;
+};
+
+const pruneExpired = (map) => {
+  if (map.size < MAX_TRACKED_ENTRIES) return;
+  const now = Date.now();
+  for (const [key, entry] of map) {
+    if (entry.until <= now) map.delete(key);
+  }
+  while (map.size >= MAX_TRACKED_ENTRIES) {
+    map.delete(map.keys().next().value);
+  }
+};
+
+const ensureHostAvailable = (hostname) => {
+  const entry = hostBackoff.get(hostname);
+  if (!entry || entry.until <= Date.now()) return;
+  throw createAppError("UPSTREAM_THROTTLED", {
+    params: { retryAfter: Math.ceil((entry.until - Date.now()) / 1000) },
+    details: { hostname },
+  });
+};
+
+const backOffHost = (hostname, retryAfter) => {
+  const entry = hostBackoff.get(hostname) || { failures: 0, until: 0 };
+  entry.failures += 1;
+  const backoff = BACKOFF_BASE_SECONDS * 2 ** (entry.failures - 1);
+  const seconds = Math.min(Math.max(backoff, parseRetryAfter(retryAfter)), MAX_BACKOFF_SECONDS);
+  entry.until = Date.now() + seconds * 1000;
+  pruneExpired(hostBackoff);
+  hostBackoff.set(hostname, entry);
+  logDebug("host backoff", { hostname, failures: entry.failures, seconds });
+  return seconds;
+};
+
+const requestFeed = async (parsedUrl, options) => {
+  const {
+    etag,
+    lastModified,
+    headers: extraHeaders = {},
+    allowPrivateNetwork = false,
+    binary = false,
+    maxBytes = binary ? MAX_IMAGE_BYTES : MAX_RSS_BYTES,
+    onItem,
+  } = options;
+  const httpClient = parsedUrl.protocol === "https:" ? https : http;
+  const lookup = await createPolicyLookup(parsedUrl, { allowPrivateNetwork });
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    logDebug("fetch start", parsedUrl.href);
+    const request = httpClient.get(
+      parsedUrl,
+      {
+        headers: {
+          "User-Agent": "Express-Podcast-RSS-Parser",
+          Accept:
+            "application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8",
+          "Accept-Encoding": "gzip, deflate, br",
+          ...(etag ? { "If-None-Match": etag } : {}),
+          ...(lastModified ? { "If-Modified-Since": lastModified } : {}),
+          ...extraHeaders,
+        },
+        ...(lookup ? { lookup } : {}),
+      },
+      (response) => {
+        const { statusCode, headers } = response;
+        logDebug("response", {
+          url: parsedUrl.href,
+          statusCode,
+          contentType: headers["content-type"],
+          contentEncoding: headers["content-encoding"],
+        });
+
+        if (statusCode === 304) {
+          response.resume();
+          logDebug("not modified", parsedUrl.href);
+          resolve({
+            notModified: true,
+            etag: "",
+            lastModified: "",
+            body: "",
+            url: parsedUrl.href,
+            bytes: 0,
+          });
+          return;
+        }
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          const nextUrl = headers.location.startsWith("http")
+            ? headers.location
+            : new URL(headers.location, parsedUrl).href;
+          resolve({ redirect: { url: parsedUrl.href, statusCode, location: nextUrl } });
+          return;
+        }
+
+        if (THROTTLE_STATUS_CODES.includes(statusCode)) {
+          response.resume();
+          const seconds = backOffHost(parsedUrl.hostname, headers["retry-after"]);
+          reject(
+            createAppError("UPSTREAM_THROTTLED", {
+              params: { retryAfter: seconds },
+              details: { url: parsedUrl.href, statusCode },
+            }),
+          );
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          const retryAfter = parseRetryAfter(headers["retry-after"]);
+          reject(
+            createAppError("UPSTREAM_STATUS", {
+              params: { statusCode },
+              details: { url: parsedUrl.href, statusCode, ...(retryAfter ? { retryAfter } : {}) },
+            }),
+          );
+          return;
+        }
+
+        const reader = createReader(parsedUrl, headers, { binary, maxBytes, onItem });
+        const decompressor = createDecompressor(headers["content-encoding"]);
+        const stream = decompressor ? response.pipe(decompressor) : response;
+        let settled = false;
+
+        const fail = (error) => {
+          if (settled) return;
+          settled = true;
+          response.destroy();
+          reject(error);
+        };
+
+        const finish = () => {
+          if (settled) return;
+          settled = true;
+          let result;
+          try {
+            result = reader.finish();
+          } catch (error) {
+            reject(error);
+            return;
+          }
+          logDebug("fetch success", {
+            url: parsedUrl.href,
+            bytes: result.bytes,
+            ...(onItem ? { items: result.items, complete: result.complete } : {}),
+            ms: Date.now() - startedAt,
+          });
+          resolve({
+            notModified: false,
+            etag: headers.etag || "",
+            lastModified: headers["last-modified"] || "",
+            contentType: headers["content-type"] || "",
+            url: parsedUrl.href,
+            ...result,
+          });
+        };
+
+        stream.on("data", (chunk) => {
+          if (settled) return;
+          let full;
+          try {
+            full = reader.push(chunk);
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          if (full) {
+            finish();
+            response.destroy();
+          }
+        });
+        stream.on("end", finish);
+        response.on("error", () => fail(createAppError("READ_FAILED")));
+        decompressor?.on("error", () => fail(createAppError("DECOMPRESS_FAILED")));
+      },
+    );
+
+    guardSocket(request, parsedUrl, { allowPrivateNetwork });
+
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      logDebug("timeout", {
+        url: parsedUrl.href,
+        ms: Date.now() - startedAt,
+      });
+      request.destroy(
+        createAppError("TIMEOUT", {
+          details: { url: parsedUrl.href, timeoutMs: REQUEST_TIMEOUT_MS },
+        }),
+      );
+    });
+
+    request.on("error", (error) => {
+      logDebug("error", {
+        url: parsedUrl.href,
+        message: error?.message,
+        ms: Date.now() - startedAt,
+      });
+      if (isAppError(error)) {
+        reject(error);
+        return;
+      }
+      reject(
+        createAppError("NETWORK_ERROR", {
+          details: { url: parsedUrl.href, reason: error?.code || error?.message || "" },
+        }),
+      );
+    });
+  });
+};
+
+const followFeed = async (targetUrl, options) => {
+  const redirects = [];
+  let currentUrl = targetUrl;
+
+  for (;;) {
+    const parsedUrl = toFeedUrl(currentUrl);
+    const hostname = parsedUrl.hostname.toLowerCase();
+    const result = await runPerHost(hostname, () => {
+      ensureHostAvailable(hostname);
+      return requestFeed(parsedUrl, options);
+    });
+    hostBackoff.delete(hostname);
+
+    if (!result.redirect) {
+      return { ...result, redirects };
+    }
+    if (redirects.length >= MAX_REDIRECTS) {
+      throw createAppError("TOO_MANY_REDIRECTS", { details: { redirects } });
+    }
+    redirects.push(result.redirect);
+    currentUrl = result.redirect.location;
+  }
+};
+
+const rememberFailure = (failureKey, error) => {
+  if (NEGATIVE_CACHE_SECONDS <= 0 || error?.code === "UPSTREAM_THROTTLED") return;
+  const retryAfter = error?.details?.retryAfter;
+  const seconds = retryAfter ? Math.min(NEGATIVE_CACHE_SECONDS, retryAfter) : NEGATIVE_CACHE_SECONDS;
+  pruneExpired(failedFeeds);
+  failedFeeds.set(failureKey, { error, until: Date.now() + seconds * 1000 });
+};
+
+const ensureNotFailed = (failureKey) => {
+  const failure = failedFeeds.get(failureKey);
+  if (failure && failure.until > Date.now()) {
+    logDebug("negative cache hit", failureKey);
+    throw failure.error;
+  }
+};
+
+const followRemembered = (failureKey, targetUrl, options) =>
+  followFeed(targetUrl, options).catch((error) => {
+    rememberFailure(failureKey, error);
+    throw error;
+  });
+
+const fetchRss = async (targetUrl, options = {}) => {
+  const {
+    etag,
+    lastModified,
+    headers = {},
+    allowPrivateNetwork = false,
+    binary = false,
+    maxBytes,
+  } = options;
+  const failureKey = binary ? `binary:${targetUrl}` : targetUrl;
+  ensureNotFailed(failureKey);
+
+  const key = JSON.stringify([
+    targetUrl,
+    etag,
+    lastModified,
+    headers,
+    allowPrivateNetwork,
+    binary,
+    maxBytes,
+  ]);
+  return runOnce(key, () => followRemembered(failureKey, targetUrl, options));
+};
+
+const fetchFeed = async (targetUrl, options = {}) => {
+  const { etag, lastModified, onItem } = options;
+  ensureNotFailed(targetUrl);
+  return followRemembered(targetUrl, targetUrl, { etag, lastModified, onItem });
+};
+
+const fetchImage = (targetUrl, options = {}) =>
+  fetchRss(targetUrl, {
+    ...options,
+    binary: true,
+    headers: { Accept: IMAGE_ACCEPT, ...(options.headers || {}) },
+  });
+
+const toRequestUrl = (targetUrl) => {
+  const parsedUrl = toFeedUrl(targetUrl);
+  if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+    throw createAppError("UNSUPPORTED_PROTOCOL", { details: { protocol: parsedUrl.protocol } });
+  }
+  return parsedUrl;
+};
+
+const guardRequest = (request, parsedUrl, options, reject) => {
+  guardSocket(request, parsedUrl, options);
+
+  request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+    request.destroy(
+      createAppError("TIMEOUT", {
+        details: { url: parsedUrl.href, timeoutMs: REQUEST_TIMEOUT_MS },
+      }),
+    );
+  });
+
+  request.on("error", (error) => {
+    if (isAppError(error)) {
+      reject(error);
+      return;
+    }
+    reject(
+      createAppError("NETWORK_ERROR", {
+        details: { url: parsedUrl.href, reason: error?.code || error?.message || "" },
+      }),
+    );
+  });
+};
+
+const getText = async (targetUrl, options = {}) => {
+  const { headers = {}, allowPrivateNetwork = false, maxBytes = MAX_RSS_BYTES } = options;
+  const parsedUrl = toRequestUrl(targetUrl);
+  const httpClient = parsedUrl.protocol === "https:" ? https : http;
+  const lookup = await createPolicyLookup(parsedUrl, { allowPrivateNetwork });
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const request = httpClient.get(
+      parsedUrl,
+      {
+        headers: {
+          "User-Agent": "Express-Podcast-RSS-Parser",
+          "Accept-Encoding": "gzip, deflate, br",
+          ...headers,
+        },
+        ...(lookup ? { lookup } : {}),
+      },
+      (response) => {
+        const { statusCode } = response;
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          logDebug("get failed", { url: parsedUrl.href, statusCode });
+          resolve({ statusCode, body: "" });
+          return;
+        }
+
+        const contentType = response.headers["content-type"] || "";
+        const reader = createBodyReader(maxBytes, "TOO_LARGE", (buffer) =>
+          decodeText(buffer, contentType),
+        );
+        const decompressor = createDecompressor(response.headers["content-encoding"]);
+        const stream = decompressor ? response.pipe(decompressor) : response;
+        let settled = false;
+
+        const fail = (error) => {
+          if (settled) return;
+          settled = true;
+          response.destroy();
+          reject(error);
+        };
+
+        stream.on("data", (chunk) => {
+          if (settled) return;
+          try {
+            reader.push(chunk);
+          } catch (error) {
+            fail(error);
+          }
+        });
+        stream.on("end", () => {
+          if (settled) return;
+          settled = true;
+          const { body, bytes } = reader.finish();
+          logDebug("get done", {
+            url: parsedUrl.href,
+            statusCode,
+            bytes,
+            ms: Date.now() - startedAt,
+          });
+          resolve({ statusCode, body });
+        });
+        response.on("error", () => fail(createAppError("READ_FAILED")));
+        decompressor?.on("error", () => fail(createAppError("DECOMPRESS_FAILED")));
+      },
+    );
+
+    guardRequest(request, parsedUrl, { allowPrivateNetwork }, reject);
+  });
+};
+
+const sendPost = async (targetUrl, body, options = {}) => {
+  const { contentType, headers = {}, allowPrivateNetwork = false } = options;
+  const parsedUrl = toRequestUrl(targetUrl);
+  const httpClient = parsedUrl.protocol === "https:" ? https : http;
+  const lookup = await createPolicyLookup(parsedUrl, { allowPrivateNetwork });
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const request = httpClient.request(
+      parsedUrl,
+      {
+        method: "POST",
+        headers: {
+          "User-Agent": "Express-Podcast-RSS-Parser",
+          "Content-Type": contentType,
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+        ...(lookup ? { lookup } : {}),
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => {
+          logDebug("post done", {
+            url: parsedUrl.href,
+            statusCode: response.statusCode,
+            ms: Date.now() - startedAt,
+          });
+          resolve({
+            statusCode: response.statusCode,
+            retryAfter: response.headers["retry-after"] || "",
+          });
+        });
+      },
+    );
+
+    guardRequest(request, parsedUrl, { allowPrivateNetwork }, reject);
+    request.end(body);
+  });
+};
+
+const postJson = (targetUrl, payload, options = {}) =>
+  sendPost(targetUrl, typeof payload === "string" ? payload : JSON.stringify(payload), {
+    ...options,
+    contentType: "application/json",
+  });
+
+const postForm = (targetUrl, fields, options = {}) =>
+  sendPost(targetUrl, new URLSearchParams(fields).toString(), {
+    ...options,
+    contentType: "application/x-www-form-urlencoded",
+  });
+
+module.exports = {
+  MAX_RSS_BYTES,
+  MAX_IMAGE_BYTES,
+  fetchRss,
+  fetchFeed,
+  fetchImage,
+  getText,
+  postJson,
+  postForm,
+};
@@ -0,0 +1,223 @@
+const path = require("path");
+const { createHash, createHmac, timingSafeEqual } = require("crypto");
+const { fetchImage, MAX_IMAGE_BYTES } = require("./fetch-rss");
+const { createFileStore } = require("./cache-store");
+const { createKeyedLimiter, createSingleFlight } = require("./concurrency");
+const { createAppError } = require("./errors");
+const { logDebug, logError } = require("./logger");
+
+const OUTPUT_FORMATS = {
+  webp: "image/webp",
+  avif: "image/avif",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+const SOURCE_FORMATS = ["jpeg", "png", "webp", "gif", "avif", "heif", "tiff"];
+const DEFAULT_FORMAT = "webp";
+const DEFAULT_REWRITE_WIDTH = 600;
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 2048;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const OUTPUT_QUALITY = 80;
+const TRANSFORM_CONCURRENCY = 2;
+const IMAGE_CACHE_MAX_ENTRIES = 10000;
+
+const toNonNegativeInteger = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const IMAGE_CACHE_SECONDS = toNonNegativeInteger(process.env.IMAGE_CACHE_SECONDS, 7 * 24 * 60 * 60);
+const IMAGE_CACHE_DIR = path.resolve(
+  process.env.IMAGE_CACHE_DIR ||
+    path.join(process.env.CACHE_DIR || path.join(__dirname, "..", ".cache"), "images"),
+);
+const IMAGE_CACHE_MAX_MB = toNonNegativeInteger(process.env.IMAGE_CACHE_MAX_MB, 500);
+
+const imageCache = createFileStore({
+  directory: IMAGE_CACHE_DIR,
+  maxEntries: IMAGE_CACHE_MAX_ENTRIES,
+  maxBytes: IMAGE_CACHE_MAX_MB * 1024 * 1024,
+});
+
+const signingSecret = String(process.env.IMAGE_PROXY_SECRET || "").trim();
+const publicBaseUrl = String(process.env.PUBLIC_BASE_URL || "")
+  .trim()
+  .replace(/\/+$/, "");
+
+const runTransform = createKeyedLimiter(TRANSFORM_CONCURRENCY);
+const runOnce = createSingleFlight();
+
+let sharpModule;
+
+const loadSharp = () => {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require("sharp");
+    } catch (error) {
+      logError("image", error);
+      sharpModule = null;
+    }
+  }
+  if (!sharpModule) {
+    throw createAppError("IMAGE_PROXY_UNAVAILABLE");
+  }
+  return sharpModule;
+};
+
+const parseImageOptions = ({ width, format } = {}) => {
+  const options = { width: 0, format: DEFAULT_FORMAT };
+
+  if (width !== undefined && width !== "") {
+    const text = String(width).trim();
+    const number = Number.parseInt(text, 10);
+    if (!/^\d+$/.test(text) || number < MIN_WIDTH || number > MAX_WIDTH) {
+      return {
+        error: createAppError("INVALID_IMAGE_WIDTH", {
+          params: { min: MIN_WIDTH, max: MAX_WIDTH },
+        }),
+      };
+    }
+    options.width = number;
+  }
+
+  if (format !== undefined && format !== "") {
+    const normalized = String(format).trim().toLowerCase();
+    const resolved = normalized === "jpg" ? "jpeg" : normalized;
+    if (!OUTPUT_FORMATS[resolved]) {
+      return {
+        error: createAppError("INVALID_IMAGE_FORMAT", {
+          params: { formats: Object.keys(OUTPUT_FORMATS).join(", ") },
+        }),
+      };
+    }
+    options.format = resolved;
+  }
+
+  return { options };
+};
+
+const toSignaturePayload = (src, width, format) =>
+  [String(src || ""), String(width || ""), String(format || "")].join("\n");
+
+const signImageRequest = (src, width, format) =>
+  createHmac("sha256", signingSecret)
+    .update(toSignaturePayload(src, width, format))
+    .digest("base64url");
+
+const hasValidImageSignature = ({ src, width, format, sig } = {}) => {
+  if (!signingSecret || !src || typeof sig !== "string" || !sig) return false;
+  const expected = Buffer.from(signImageRequest(src, width, format));
+  const actual = Buffer.from(sig);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+const createImageRewriter = (options = {}) => {
+  const {
+    baseUrl,
+    feedUrl,
+    width = DEFAULT_REWRITE_WIDTH,
+    format = DEFAULT_FORMAT,
+  } = options;
+  if (!signingSecret) return (image) => image;
+
+  const endpoint = `${publicBaseUrl || String(baseUrl || "").replace(/\/+$/, "")}/api/image`;
+
+  return (image) => {
+    if (!image || typeof image !== "string") return image;
+    let src;
+    try {
+      src = new URL(image.trim(), feedUrl);
+    } catch (error) {
+      return image;
+    }
+    if (!["http:", "https:"].includes(src.protocol)) return image;
+
+    const params = new URLSearchParams({ src: src.href });
+    if (width) params.set("w", String(width));
+    params.set("format", format);
+    params.set("sig", signImageRequest(src.href, width || "", format));
+    return `${endpoint}?${params}`;
+  };
+};
+
+const readCachedImage = async (key) => {
+  if (IMAGE_CACHE_SECONDS <= 0) return null;
+  const cached = await imageCache.get(key);
+  return typeof cached === "string" ? Buffer.from(cached, "base64") : null;
+};
+
+const writeCachedImage = async (key, body) => {
+  if (IMAGE_CACHE_SECONDS <= 0) return;
+  await imageCache.set(key, body.toString("base64"), IMAGE_CACHE_SECONDS);
+};
+
+const transformImage = async (buffer, { width, format }) => {
+  const sharp = loadSharp();
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+  let metadata;
+  try {
+    metadata = await image.metadata();
+  } catch (error) {
+    throw createAppError("INVALID_IMAGE", { details: { reason: error.message } });
+  }
+  if (!SOURCE_FORMATS.includes(metadata.format)) {
+    throw createAppError("INVALID_IMAGE", { details: { format: metadata.format || null } });
+  }
+
+  try {
+    const pipeline = image.rotate();
+    if (width) {
+      pipeline.resize({ width, withoutEnlargement: true });
+    }
+    return await pipeline
+      .toFormat(format, format === "png" ? {} : { quality: OUTPUT_QUALITY })
+      .toBuffer();
+  } catch (error) {
+    throw createAppError("INVALID_IMAGE", {
+      details: { format: metadata.format, reason: error.message },
+    });
+  }
+};
+
+const getProxiedImage = async (src, options = {}) => {
+  const { width = 0, format = DEFAULT_FORMAT } = options;
+  const key = createHash("sha256").update(JSON.stringify([src, width, format])).digest("hex");
+  const contentType = OUTPUT_FORMATS[format];
+
+  return runOnce(key, async () => {
+    const cached = await readCachedImage(key);
+    if (cached) {
+      logDebug("image cache hit", { src, width, format });
+      return { body: cached, contentType, cached: true };
+    }
+
+    const source = await fetchImage(src, { maxBytes: MAX_IMAGE_BYTES });
+    const startedAt = Date.now();
+    const body = await runTransform("transform", () =>
+      transformImage(source.body, { width, format }),
+    );
+    logDebug("image transformed", {
+      src,
+      width,
+      format,
+      sourceBytes: source.bytes,
+      bytes: body.length,
+      ms: Date.now() - startedAt,
+    });
+
+    await writeCachedImage(key, body).catch((error) => {
+      logError("image", error);
+    });
+    return { body, contentType, cached: false };
+  });
+};
+
+module.exports = {
+  IMAGE_CACHE_SECONDS,
+  parseImageOptions,
+  hasValidImageSignature,
+  createImageRewriter,
+  getProxiedImage,
+};
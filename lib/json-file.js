@@ -0,0 +1,86 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { createAppError } = require("./errors");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", ".data");
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const acquireLock = async (lockPath) => {
+  const startedAt = Date.now();
+  for (;;) {
+    try {
+      await (await fs.open(lockPath, "wx")).close();
+      return;
+    } catch (error) {
+      if (error?.code !== "EEXIST") throw error;
+    }
+
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      await fs.unlink(lockPath).catch(() => {});
+      continue;
+    }
+    if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+      throw createAppError("STORAGE_BUSY", { details: { file: path.basename(lockPath) } });
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+};
+
+const resolveDataPath = (fileName) =>
+  path.join(path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR), fileName);
+
+const createJsonFile = (filePath, createDefault = () => ({})) => {
+  let pending = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") return createDefault();
+      throw error;
+    }
+  };
+
+  const writeFile = async (value) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2), "utf8");
+    await fs.rename(tempPath, filePath);
+  };
+
+  const enqueue = (task) => {
+    const run = pending.then(task);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  const write = (value) => enqueue(() => writeFile(value));
+
+  const update = (mutate) =>
+    enqueue(async () => {
+      const lockPath = `${filePath}.lock`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await acquireLock(lockPath);
+      try {
+        const value = await read();
+        const result = await mutate(value);
+        await writeFile(value);
+        return result;
+      } finally {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+    });
+
+  return { filePath, read, write, update };
+};
+
+module.exports = {
+  resolveDataPath,
+  createJsonFile,
+};
@@ -0,0 +1,15 @@
+const DEBUG = process.env.DEBUG_RSS === "1";
+
+const logDebug = (...args) => {
+  if (!DEBUG) return;
+  console.log("[rss]", ...args);
+};
+
+const logError = (scope, error) => {
+  console.error(`[${scope}]`, error?.stack || error?.message || error);
+};
+
+module.exports = {
+  logDebug,
+  logError,
+};
@@ -0,0 +1,206 @@
+const dns = require("dns").promises;
+const net = require("net");
+const { logDebug } = require("./logger");
+const { createAppError } = require("./errors");
+
+const BLOCKED_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.88.99.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 96, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["64:ff9b:1::", 48, "ipv6"],
+  ["100::", 64, "ipv6"],
+  ["2001::", 23, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["2002::", 16, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["fec0::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+const toFamily = (address) => (net.isIP(address) === 6 ? "ipv6" : "ipv4");
+
+const stripBrackets = (hostname = "") => String(hostname).replace(/^\[|\]$/g, "").toLowerCase();
+
+const isBlockedAddress = (address) => {
+  const ip = stripBrackets(address);
+  if (!net.isIP(ip)) return false;
+  return blockList.check(ip, toFamily(ip));
+};
+
+const parseHostRule = (rule) => {
+  const value = rule.trim().toLowerCase();
+  if (!value) return null;
+
+  const [address, prefix] = value.split("/");
+  if (net.isIP(address)) {
+    const family = toFamily(address);
+    const list = new net.BlockList();
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, Number.parseInt(prefix, 10), family);
+    }
+    return { matchesAddress: (ip) => list.check(ip, toFamily(ip)), matchesHost: () => false };
+  }
+
+  const suffix = value.startsWith("*.") ? value.slice(1) : value.startsWith(".") ? value : "";
+  return {
+    matchesAddress: () => false,
+    matchesHost: (hostname) =>
+      suffix ? hostname.endsWith(suffix) || hostname === suffix.slice(1) : hostname === value,
+  };
+};
+
+const parseHostRules = (value) =>
+  String(value || "")
+    .split(",")
+    .map(parseHostRule)
+    .filter(Boolean);
+
+const allowRules = parseHostRules(process.env.NETWORK_ALLOW_HOSTS);
+const denyRules = parseHostRules(process.env.NETWORK_DENY_HOSTS);
+
+const matchesRules = (rules, hostname, address) =>
+  rules.some(
+    (rule) =>
+      rule.matchesHost(hostname) || (address && net.isIP(address) && rule.matchesAddress(address)),
+  );
+
+const ensureAddressAllowed = (hostname, address, options = {}) => {
+  const { allowPrivateNetwork = false } = options;
+  if (matchesRules(denyRules, hostname, address)) {
+    throw createAppError("HOST_DENIED", { details: { hostname } });
+  }
+  if (allowPrivateNetwork || matchesRules(allowRules, hostname, address)) return;
+  if (isBlockedAddress(address)) {
+    throw createAppError("PRIVATE_ADDRESS", { details: { hostname } });
+  }
+};
+
+const checkUrl = (parsedUrl, options = {}) => {
+  const { allowPrivateNetwork = false } = options;
+  if (!parsedUrl || !parsedUrl.hostname) {
+    throw createAppError("INVALID_URL");
+  }
+
+  if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+    throw createAppError("UNSUPPORTED_PROTOCOL", { details: { protocol: parsedUrl.protocol } });
+  }
+
+  const hostname = stripBrackets(parsedUrl.hostname);
+  if (matchesRules(denyRules, hostname)) {
+    throw createAppError("HOST_DENIED", { details: { hostname } });
+  }
+
+  const isAllowed = allowPrivateNetwork || matchesRules(allowRules, hostname);
+  if (!isAllowed && (hostname === "localhost" || hostname.endsWith(".localhost"))) {
+    throw createAppError("PRIVATE_ADDRESS", { details: { hostname } });
+  }
+
+  if (net.isIP(hostname)) {
+    ensureAddressAllowed(hostname, hostname, options);
+  }
+  return hostname;
+};
+
+const resolveAllowedAddress = async (hostname, options = {}) => {
+  let records;
+  try {
+    records = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw createAppError("DNS_FAILED", {
+      details: { hostname, reason: error.code || error.message },
+    });
+  }
+  if (!records || records.length === 0) {
+    throw createAppError("DNS_FAILED", { details: { hostname } });
+  }
+
+  const rejected = [];
+  for (const record of records) {
+    try {
+      ensureAddressAllowed(hostname, record.address, options);
+    } catch (error) {
+      rejected.push({ address: record.address, error });
+    }
+  }
+
+  if (rejected.length) {
+    logDebug("lookup rejected", {
+      hostname,
+      addresses: records.map((record) => record.address),
+      rejected: rejected.map((entry) => entry.address),
+    });
+    throw rejected[0].error;
+  }
+
+  return records[0];
+};
+
+const createStaticLookup = (address, family) => (hostname, options, callback) => {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  if (options?.all) {
+    callback(null, [{ address, family }]);
+    return;
+  }
+
+  callback(null, address, family);
+};
+
+const createPolicyLookup = async (parsedUrl, options = {}) => {
+  const hostname = checkUrl(parsedUrl, options);
+  if (net.isIP(hostname)) return undefined;
+
+  const resolved = await resolveAllowedAddress(hostname, options);
+  logDebug("lookup ok", { hostname, address: resolved.address });
+  return createStaticLookup(resolved.address, net.isIP(resolved.address));
+};
+
+const guardSocket = (request, parsedUrl, options = {}) => {
+  const hostname = stripBrackets(parsedUrl.hostname);
+  request.on("socket", (socket) => {
+    const check = () => {
+      try {
+        ensureAddressAllowed(hostname, socket.remoteAddress, options);
+      } catch (error) {
+        logDebug("socket rejected", { hostname, address: socket.remoteAddress });
+        request.destroy(error);
+      }
+    };
+    if (socket.remoteAddress) {
+      check();
+    } else {
+      socket.once("connect", check);
+    }
+  });
+};
+
+module.exports = {
+  isBlockedAddress,
+  checkUrl,
+  resolveAllowedAddress,
+  createPolicyLookup,
+  guardSocket,
+};
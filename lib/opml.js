@@ -0,0 +1,100 @@
+const { XMLParser } = require("fast-xml-parser");
+const { decode } = require("he");
+const { ensureArray } = require("./feed");
+const { escapeXml } = require("./xml");
+const { createAppError } = require("./errors");
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseAttributeValue: false,
+  parseTagValue: false,
+  processEntities: false,
+});
+
+const getOutlineAttribute = (outline, name) => {
+  const target = name.toLowerCase();
+  const key = Object.keys(outline || {}).find(
+    (candidate) => candidate.startsWith("@_") && candidate.slice(2).toLowerCase() === target,
+  );
+  const value = key ? outline[key] : "";
+  return value === undefined || value === null ? "" : decode(String(value)).trim();
+};
+
+const parseOpml = (content = "") => {
+  const text = String(content).replace(/^\uFEFF/, "").trim();
+  let document;
+  try {
+    document = text ? parser.parse(text) : null;
+  } catch (error) {
+    document = null;
+  }
+  const opml = document?.opml;
+  if (!opml || typeof opml !== "object") {
+    throw createAppError("INVALID_OPML");
+  }
+
+  const feeds = [];
+  const seen = new Set();
+
+  const walk = (outlines, categories) => {
+    ensureArray(outlines).forEach((outline) => {
+      if (!outline || typeof outline !== "object") return;
+      const label = getOutlineAttribute(outline, "text") || getOutlineAttribute(outline, "title");
+      const xmlUrl = getOutlineAttribute(outline, "xmlUrl");
+      if (xmlUrl && !seen.has(xmlUrl)) {
+        seen.add(xmlUrl);
+        feeds.push({
+          url: xmlUrl,
+          title: label,
+          htmlUrl: getOutlineAttribute(outline, "htmlUrl"),
+          category: categories.join("/"),
+        });
+      }
+      if (outline.outline) {
+        walk(outline.outline, xmlUrl || !label ? categories : [...categories, label]);
+      }
+    });
+  };
+
+  walk(opml?.body?.outline, []);
+
+  return {
+    title: decode(String(opml?.head?.title ?? "")).trim(),
+    feeds,
+  };
+};
+
+const buildOpml = (options = {}) => {
+  const { title = "Podcast Subscriptions", feeds = [] } = options;
+  const outlines = feeds.map((feed) => {
+    const text = feed.title || feed.url;
+    const attributes = [
+      'type="rss"',
+      `text="${escapeXml(text)}"`,
+      `title="${escapeXml(text)}"`,
+      `xmlUrl="${escapeXml(feed.url)}"`,
+      ...(feed.htmlUrl ? [`htmlUrl="${escapeXml(feed.htmlUrl)}"`] : []),
+    ];
+    return `    <outline ${attributes.join(" ")}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    ...outlines,
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+};
+
+module.exports = {
+  parseOpml,
+  buildOpml,
+};
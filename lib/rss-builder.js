@@ -0,0 +1,144 @@
+const { decode } = require("he");
+const { escapeXml } = require("./xml");
+const { formatTimecode } = require("./timecode");
+
+const GENERATOR = "Express-Podcast-RSS-Parser";
+const DEFAULT_ENCLOSURE_TYPE = "audio/mpeg";
+
+const ENCLOSURE_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/x-m4a",
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/opus",
+  wav: "audio/wav",
+  flac: "audio/flac",
+  mp4: "video/mp4",
+  m4v: "video/x-m4v",
+  mov: "video/quicktime",
+};
+
+const toPlainText = (value) =>
+  decode(String(value ?? ""))
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const toCdata = (value = "") =>
+  `<![CDATA[${String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const toRfc822Date = (timestamp) =>
+  typeof timestamp === "number" && Number.isFinite(timestamp)
+    ? new Date(timestamp).toUTCString()
+    : "";
+
+const guessEnclosureType = (url = "") => {
+  let extension = "";
+  try {
+    extension = new URL(url).pathname.split(".").pop().toLowerCase();
+  } catch (error) {
+    extension = "";
+  }
+  return ENCLOSURE_TYPES[extension] || DEFAULT_ENCLOSURE_TYPE;
+};
+
+const textElement = (indent, name, value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return text ? [`${indent}<${name}>${escapeXml(text)}</${name}>`] : [];
+};
+
+const cdataElement = (indent, name, value) =>
+  value ? [`${indent}<${name}>${toCdata(value)}</${name}>`] : [];
+
+const textToHtml = (value) =>
+  value
+    ? String(value)
+        .split(/\n{2,}/)
+        .map((paragraph) => `<p>${escapeXml(paragraph.trim())}</p>`)
+        .join("")
+    : "";
+
+const buildItem = (episode) => {
+  const indent = "      ";
+  const length = /^\d+$/.test(episode.enclosure?.length || "") ? episode.enclosure.length : "0";
+  const type = episode.enclosure?.type || guessEnclosureType(episode.audio);
+  const description = episode.description_html || textToHtml(episode.description_text);
+  const duration =
+    typeof episode.durationSeconds === "number" && !episode.durationEstimated
+      ? formatTimecode(episode.durationSeconds, { milliseconds: false })
+      : "";
+
+  return [
+    "    <item>",
+    ...textElement(indent, "title", toPlainText(episode.title)),
+    ...textElement(indent, "link", episode.link),
+    `${indent}<guid isPermaLink="false">${escapeXml(episode.guid || episode.id)}</guid>`,
+    ...textElement(indent, "pubDate", toRfc822Date(episode.publishedAt)),
+    ...cdataElement(indent, "description", description),
+    ...cdataElement(indent, "content:encoded", episode.description_html),
+    ...(episode.audio
+      ? [
+          `${indent}<enclosure url="${escapeXml(episode.audio)}" length="${length}" type="${escapeXml(type)}"/>`,
+        ]
+      : []),
+    ...textElement(indent, "itunes:title", toPlainText(episode.title)),
+    ...textElement(indent, "itunes:author", toPlainText(episode.author)),
+    ...(episode.image ? [`${indent}<itunes:image href="${escapeXml(episode.image)}"/>`] : []),
+    ...textElement(indent, "itunes:duration", duration),
+    ...textElement(indent, "itunes:episodeType", episode.episodeType),
+    ...textElement(indent, "itunes:season", episode.season),
+    ...textElement(indent, "itunes:episode", episode.episode),
+    ...textElement(indent, "itunes:explicit", episode.explicit ? "true" : "false"),
+    "    </item>",
+  ];
+};
+
+const buildRssFeed = (feed = {}, options = {}) => {
+  const { selfUrl = "" } = options;
+  const { podcast = {}, episodes = [] } = feed;
+  const indent = "    ";
+  const title = toPlainText(podcast.name) || podcast.rss || "";
+  const link = podcast.website || podcast.rss || "";
+  const description = podcast.description_html || textToHtml(podcast.description_text);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    ...textElement(indent, "title", title),
+    ...textElement(indent, "link", link),
+    `${indent}<description>${toCdata(description)}</description>`,
+    ...textElement(indent, "language", podcast.language),
+    ...textElement(indent, "lastBuildDate", new Date().toUTCString()),
+    ...textElement(indent, "generator", GENERATOR),
+    ...(selfUrl
+      ? [
+          `${indent}<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+        ]
+      : []),
+    ...(podcast.image
+      ? [
+          `${indent}<image>`,
+          ...textElement(`${indent}  `, "url", podcast.image),
+          ...textElement(`${indent}  `, "title", title),
+          ...textElement(`${indent}  `, "link", link),
+          `${indent}</image>`,
+          `${indent}<itunes:image href="${escapeXml(podcast.image)}"/>`,
+        ]
+      : []),
+    ...textElement(indent, "itunes:author", toPlainText(podcast.author)),
+    ...textElement(indent, "itunes:summary", toPlainText(description)),
+    ...textElement(indent, "itunes:explicit", podcast.explicit ? "true" : "false"),
+    ...episodes.flatMap(buildItem),
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+module.exports = {
+  buildRssFeed,
+};
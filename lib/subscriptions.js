@@ -0,0 +1,378 @@
+const net = require("net");
+const { createHmac, randomBytes, randomUUID } = require("crypto");
+const { postJson } = require("./fetch-rss");
+const { parseRssFeed, extractPodcastInfo, extractFeedUpdates } = require("./feed");
+const { mapWithConcurrency } = require("./concurrency");
+const { createJsonFile, resolveDataPath } = require("./json-file");
+const { logDebug } = require("./logger");
+const { createAppError, toErrorRecord, toLastError } = require("./errors");
+const { checkUrl, resolveAllowedAddress } = require("./network-policy");
+
+const DEFAULT_POLL_SECONDS = 900;
+const MIN_POLL_SECONDS = 10;
+const MAX_TICK_SECONDS = 30;
+const POLL_CONCURRENCY = 4;
+const DELIVERY_CONCURRENCY = 4;
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const MAX_KNOWN_IDS = 2000;
+const MAX_DELIVERY_HISTORY = 20;
+const MAX_EPISODES_PER_DELIVERY = 50;
+const WEBHOOK_EVENT = "episodes.new";
+const DELIVERY_CLAIM_SECONDS = 5 * 60;
+
+const pollSeconds = Math.max(
+  MIN_POLL_SECONDS,
+  Number.parseInt(process.env.SUBSCRIPTION_POLL_SECONDS, 10) || DEFAULT_POLL_SECONDS,
+);
+const allowPrivateNetwork = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORK === "1";
+
+const store = createJsonFile(resolveDataPath("subscriptions.json"), () => ({
+  subscriptions: [],
+  deliveries: [],
+}));
+
+let ticking = false;
+
+const toState = (state) => {
+  if (!Array.isArray(state.subscriptions)) state.subscriptions = [];
+  if (!Array.isArray(state.deliveries)) state.deliveries = [];
+  return state;
+};
+
+const readState = async () => toState((await store.read()) || {});
+
+const updateState = (mutate) => store.update((state) => mutate(toState(state)));
+
+const toIsoTime = (value) => (typeof value === "number" ? new Date(value).toISOString() : null);
+
+const toPublicDelivery = (delivery, locale) => ({
+  id: delivery.id,
+  event: delivery.event,
+  status: delivery.status,
+  episodes: delivery.episodeCount,
+  attempts: delivery.attempts,
+  lastStatusCode: delivery.lastStatusCode ?? null,
+  ...toLastError(delivery.lastError, locale),
+  createdAt: toIsoTime(delivery.createdAt),
+  nextAttemptAt: delivery.status === "pending" ? toIsoTime(delivery.nextAttemptAt) : null,
+  deliveredAt: toIsoTime(delivery.deliveredAt),
+});
+
+const toPublicSubscription = (subscription, deliveries = [], locale) => ({
+  id: subscription.id,
+  url: subscription.url,
+  callbackUrl: subscription.callbackUrl,
+  createdAt: toIsoTime(subscription.createdAt),
+  lastCheckedAt: toIsoTime(subscription.lastCheckedAt),
+  nextCheckAt: toIsoTime(subscription.nextCheckAt),
+  lastHash: subscription.lastHash || null,
+  ...toLastError(subscription.lastError, locale),
+  knownEpisodes: subscription.knownIds.length,
+  pendingDeliveries: deliveries.filter(
+    (delivery) => delivery.subscriptionId === subscription.id && delivery.status === "pending",
+  ).length,
+});
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+const getRetryDelay = (attempts, retryAfter) => {
+  const backoff = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+  const requested = Number.parseInt(retryAfter, 10);
+  if (Number.isFinite(requested) && requested > backoff) {
+    return Math.min(requested, MAX_RETRY_SECONDS) * 1000;
+  }
+  return backoff * 1000;
+};
+
+const snapshotFeed = async (url, refresh) => {
+  const parsed = await parseRssFeed(url, { refresh });
+  const updates = extractFeedUpdates(parsed, { limit: MAX_EPISODES_PER_DELIVERY });
+  return { parsed, updates, ids: Object.keys(updates.fingerprints) };
+};
+
+const ensureCallbackAllowed = async (callbackUrl) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(callbackUrl);
+  } catch (error) {
+    throw createAppError("INVALID_CALLBACK_URL");
+  }
+  const hostname = checkUrl(parsedUrl, { allowPrivateNetwork });
+  if (!net.isIP(hostname)) {
+    await resolveAllowedAddress(hostname, { allowPrivateNetwork });
+  }
+};
+
+const listSubscriptions = async (options = {}) => {
+  const state = await readState();
+  return state.subscriptions.map((subscription) =>
+    toPublicSubscription(subscription, state.deliveries, options.locale),
+  );
+};
+
+const getSubscription = async (id, options = {}) => {
+  const { locale } = options;
+  const state = await readState();
+  const subscription = state.subscriptions.find((entry) => entry.id === id);
+  if (!subscription) return null;
+  return {
+    ...toPublicSubscription(subscription, state.deliveries, locale),
+    deliveries: state.deliveries
+      .filter((delivery) => delivery.subscriptionId === id)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((delivery) => toPublicDelivery(delivery, locale)),
+  };
+};
+
+const createSubscription = async ({ url, callbackUrl, secret }, options = {}) => {
+  await ensureCallbackAllowed(callbackUrl);
+  const { updates, ids } = await snapshotFeed(url, false);
+  const now = Date.now();
+  const subscription = {
+    id: randomUUID(),
+    url,
+    callbackUrl,
+    secret: secret || randomBytes(32).toString("hex"),
+    createdAt: now,
+    lastCheckedAt: now,
+    nextCheckAt: now + pollSeconds * 1000,
+    lastHash: updates.hash,
+    lastError: null,
+    knownIds: ids.slice(0, MAX_KNOWN_IDS),
+  };
+
+  await updateState((state) => {
+    state.subscriptions.push(subscription);
+  });
+
+  return {
+    ...toPublicSubscription(subscription, [], options.locale),
+    secret: subscription.secret,
+  };
+};
+
+const deleteSubscription = (id) =>
+  updateState((state) => {
+    const index = state.subscriptions.findIndex((entry) => entry.id === id);
+    if (index === -1) return false;
+    state.subscriptions.splice(index, 1);
+    state.deliveries = state.deliveries.filter((delivery) => delivery.subscriptionId !== id);
+    return true;
+  });
+
+const enqueueDelivery = (state, subscription, parsed, updates, episodes) => {
+  const now = Date.now();
+  const id = randomUUID();
+  state.deliveries.push({
+    id,
+    subscriptionId: subscription.id,
+    event: WEBHOOK_EVENT,
+    status: "pending",
+    attempts: 0,
+    episodeCount: episodes.length,
+    createdAt: now,
+    nextAttemptAt: now,
+    payload: {
+      id,
+      event: WEBHOOK_EVENT,
+      createdAt: new Date(now).toISOString(),
+      subscription: { id: subscription.id, url: subscription.url },
+      podcast: extractPodcastInfo(parsed, subscription.url),
+      hash: updates.hash,
+      episodes,
+    },
+  });
+};
+
+const claimChecks = (state, { subscriptionId, force }) => {
+  const now = Date.now();
+  return state.subscriptions
+    .filter((subscription) => {
+      if (subscriptionId) return subscription.id === subscriptionId;
+      return force || subscription.nextCheckAt <= now;
+    })
+    .map((subscription) => {
+      subscription.lastCheckedAt = now;
+      subscription.nextCheckAt = now + pollSeconds * 1000;
+      return { id: subscription.id, url: subscription.url };
+    });
+};
+
+const checkSubscription = async ({ id, url }) => {
+  try {
+    return { id, snapshot: await snapshotFeed(url, true) };
+  } catch (error) {
+    const lastError = toErrorRecord(error, "PARSE_ERROR");
+    logDebug("subscription check failed", { id, error: lastError.code });
+    return { id, error: lastError };
+  }
+};
+
+const applyCheck = (state, { id, snapshot, error }) => {
+  const subscription = state.subscriptions.find((entry) => entry.id === id);
+  if (!subscription) return;
+  if (error) {
+    subscription.lastError = error;
+    return;
+  }
+
+  subscription.lastError = null;
+  const { parsed, updates, ids } = snapshot;
+  if (updates.hash === subscription.lastHash) return;
+
+  const known = new Set(subscription.knownIds);
+  const episodes = updates.episodes.filter((episode) => !known.has(episode.id));
+
+  subscription.lastHash = updates.hash;
+  subscription.knownIds = [...new Set([...ids, ...subscription.knownIds])].slice(
+    0,
+    MAX_KNOWN_IDS,
+  );
+
+  if (episodes.length) {
+    logDebug("subscription new episodes", { id: subscription.id, count: episodes.length });
+    enqueueDelivery(state, subscription, parsed, updates, episodes);
+  }
+};
+
+const claimDeliveries = (state, { subscriptionId, force }) => {
+  const now = Date.now();
+  const subscriptionsById = new Map(state.subscriptions.map((entry) => [entry.id, entry]));
+  return state.deliveries
+    .filter(
+      (delivery) =>
+        delivery.status === "pending" &&
+        subscriptionsById.has(delivery.subscriptionId) &&
+        (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+        !(delivery.claimedUntil > now) &&
+        (force || delivery.nextAttemptAt <= now),
+    )
+    .map((delivery) => {
+      delivery.claimedUntil = now + DELIVERY_CLAIM_SECONDS * 1000;
+      return { delivery, subscription: subscriptionsById.get(delivery.subscriptionId) };
+    });
+};
+
+const sendDelivery = async ({ delivery, subscription }) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const response = await postJson(subscription.callbackUrl, body, {
+      allowPrivateNetwork,
+      headers: {
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(subscription.secret, timestamp, body),
+      },
+    });
+    const { statusCode } = response;
+    if (statusCode >= 200 && statusCode < 300) {
+      return { id: delivery.id, statusCode, delivered: true };
+    }
+    return {
+      id: delivery.id,
+      statusCode,
+      retryAfter: response.retryAfter,
+      error: toErrorRecord(createAppError("CALLBACK_STATUS", { params: { statusCode } })),
+    };
+  } catch (error) {
+    return { id: delivery.id, statusCode: null, error: toErrorRecord(error, "NETWORK_ERROR") };
+  }
+};
+
+const applyDelivery = (state, { id, statusCode, delivered, retryAfter, error }) => {
+  const delivery = state.deliveries.find((entry) => entry.id === id);
+  if (!delivery || delivery.status !== "pending") return;
+
+  delete delivery.claimedUntil;
+  delivery.attempts += 1;
+  delivery.lastStatusCode = statusCode;
+  if (delivered) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = Date.now();
+    delivery.lastError = null;
+    return;
+  }
+
+  delivery.lastError = error;
+  if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+    delivery.status = "failed";
+  } else {
+    delivery.nextAttemptAt = Date.now() + getRetryDelay(delivery.attempts, retryAfter);
+  }
+  logDebug("webhook delivery failed", {
+    id: delivery.id,
+    attempts: delivery.attempts,
+    error: error.code,
+  });
+};
+
+const pruneDeliveries = (state) => {
+  const finishedCounts = new Map();
+  state.deliveries = state.deliveries
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter((delivery) => {
+      if (delivery.status === "pending") return true;
+      const count = (finishedCounts.get(delivery.subscriptionId) || 0) + 1;
+      finishedCounts.set(delivery.subscriptionId, count);
+      if (count > MAX_DELIVERY_HISTORY) return false;
+      delete delivery.payload;
+      return true;
+    });
+};
+
+const runSubscriptionTick = async (options = {}) => {
+  const { subscriptionId } = options;
+  const force = Boolean(subscriptionId || options.force);
+  if (ticking) return false;
+  ticking = true;
+
+  try {
+    const checks = await updateState((state) => claimChecks(state, { subscriptionId, force }));
+    const results = await mapWithConcurrency(checks, POLL_CONCURRENCY, checkSubscription);
+
+    const deliveries = await updateState((state) => {
+      results.forEach((result) => applyCheck(state, result));
+      return claimDeliveries(state, { subscriptionId, force });
+    });
+    const outcomes = await mapWithConcurrency(deliveries, DELIVERY_CONCURRENCY, sendDelivery);
+
+    await updateState((state) => {
+      outcomes.forEach((outcome) => applyDelivery(state, outcome));
+      pruneDeliveries(state);
+    });
+    return true;
+  } finally {
+    ticking = false;
+  }
+};
+
+const startSubscriptionPoller = () => {
+  const intervalMs = Math.min(pollSeconds, MAX_TICK_SECONDS) * 1000;
+  const tick = () => {
+    runSubscriptionTick().catch((error) => {
+      console.error("[subscriptions]", error.message || error);
+    });
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  setImmediate(tick);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  WEBHOOK_EVENT,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  runSubscriptionTick,
+  startSubscriptionPoller,
+};
@@ -0,0 +1,32 @@
+const parseTimecode = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^\d+(?:[.,]\d+)?$/.test(text)) {
+    return Number.parseFloat(text.replace(",", "."));
+  }
+  const match = text.match(/^(?:(\d+):)?(\d+):(\d{1,2}(?:[.,]\d+)?)$/);
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds] = match;
+  return (
+    Number.parseInt(hours, 10) * 3600 +
+    Number.parseInt(minutes, 10) * 60 +
+    Number.parseFloat(seconds.replace(",", "."))
+  );
+};
+
+const formatTimecode = (value, options = {}) => {
+  const { milliseconds = true } = options;
+  const totalMs = Math.max(0, Math.round((Number(value) || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const pad = (number, size = 2) => String(number).padStart(size, "0");
+  const base = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return milliseconds ? `${base}.${pad(totalMs % 1000, 3)}` : base;
+};
+
+module.exports = {
+  parseTimecode,
+  formatTimecode,
+};
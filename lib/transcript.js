@@ -0,0 +1,160 @@
+const { decode } = require("he");
+const { parseTimecode, formatTimecode } = require("./timecode");
+const { createAppError } = require("./errors");
+
+const FORMAT_PREFERENCE = ["json", "vtt", "srt", "html"];
+
+const stripBom = (value) => String(value || "").replace(/^\uFEFF/, "");
+
+const toPlainText = (value) =>
+  decode(
+    String(value || "")
+      .replace(/<\s*br\s*\/?\s*>/gi, "\n")
+      .replace(/<[^>]*>/g, ""),
+    { strict: false },
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+
+const toSeconds = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = typeof value === "number" ? value : parseTimecode(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const detectTranscriptFormat = (type = "", content = "") => {
+  const normalizedType = String(type || "").toLowerCase();
+  if (normalizedType.includes("json")) return "json";
+  if (normalizedType.includes("vtt")) return "vtt";
+  if (normalizedType.includes("srt") || normalizedType.includes("subrip")) return "srt";
+  if (normalizedType.includes("html")) return "html";
+
+  const text = stripBom(content).trimStart();
+  if (text.startsWith("WEBVTT")) return "vtt";
+  if (text.startsWith("{")) return "json";
+  if (text.includes("-->")) return "srt";
+  return "html";
+};
+
+const parseCueBlocks = (content) =>
+  stripBom(content)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.split("\n").filter((line) => line.trim());
+      const timingIndex = lines.findIndex((line) => line.includes("-->"));
+      if (timingIndex === -1) return null;
+      const [startText = "", endText = ""] = lines[timingIndex].split("-->");
+      const start = toSeconds(startText.trim());
+      if (start === null) return null;
+      const rawText = lines.slice(timingIndex + 1).join("\n");
+      const voice = rawText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+      return {
+        start,
+        end: toSeconds(endText.trim().split(/\s+/)[0]),
+        speaker: voice ? decode(voice[1].trim()) : "",
+        text: toPlainText(rawText),
+      };
+    })
+    .filter((cue) => cue && cue.text);
+
+const parseJsonTranscript = (content) => {
+  const data = JSON.parse(stripBom(content));
+  return (Array.isArray(data?.segments) ? data.segments : [])
+    .map((segment) => ({
+      start: toSeconds(segment?.startTime),
+      end: toSeconds(segment?.endTime),
+      speaker: segment?.speaker ? String(segment.speaker).trim() : "",
+      text: segment?.body === undefined || segment?.body === null ? "" : String(segment.body).trim(),
+    }))
+    .filter((cue) => cue.start !== null && cue.text);
+};
+
+const parseHtmlTranscript = (content) => {
+  const html = stripBom(content);
+  const cues = [];
+  let speaker = "";
+  let start = null;
+
+  for (const [, tag, inner] of html.matchAll(/<(cite|time|p)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi)) {
+    const text = toPlainText(inner);
+    const name = tag.toLowerCase();
+    if (name === "cite") {
+      speaker = text.replace(/:\s*$/, "").trim();
+    } else if (name === "time") {
+      start = toSeconds(text);
+    } else if (text) {
+      const previous = cues[cues.length - 1];
+      cues.push({ start: start ?? previous?.start ?? 0, end: null, speaker, text });
+      start = null;
+    }
+  }
+
+  if (!cues.length) {
+    const text = toPlainText(html.replace(/<\/(p|div|li|h[1-6])>/gi, "\n"));
+    if (text) {
+      cues.push({ start: 0, end: null, speaker: "", text });
+    }
+  }
+
+  return cues;
+};
+
+const fillCueEnds = (cues) =>
+  cues.map((cue, index) => {
+    if (cue.end !== null && cue.end >= cue.start) return cue;
+    const next = cues.slice(index + 1).find((candidate) => candidate.start > cue.start);
+    return { ...cue, end: next ? next.start : null };
+  });
+
+const parseTranscript = (content, type = "") => {
+  const format = detectTranscriptFormat(type, content);
+  let cues;
+  try {
+    if (format === "json") {
+      cues = parseJsonTranscript(content);
+    } else if (format === "html") {
+      cues = parseHtmlTranscript(content);
+    } else {
+      cues = parseCueBlocks(content);
+    }
+  } catch (error) {
+    throw createAppError("TRANSCRIPT_PARSE_ERROR", {
+      details: { format, reason: error.message },
+    });
+  }
+  return { format, cues: fillCueEnds(cues) };
+};
+
+const escapeVttText = (value = "") =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const toWebVtt = (cues = []) => {
+  const blocks = cues.map((cue) => {
+    const end = cue.end !== null && cue.end > cue.start ? cue.end : cue.start + 5;
+    const voice = cue.speaker ? `<v ${escapeVttText(cue.speaker)}>` : "";
+    return `${formatTimecode(cue.start)} --> ${formatTimecode(end)}\n${voice}${escapeVttText(cue.text)}`;
+  });
+  return ["WEBVTT", ...blocks].join("\n\n") + "\n";
+};
+
+const pickTranscript = (transcripts = [], language = "") => {
+  const wanted = String(language || "").trim().toLowerCase();
+  const rank = (transcript) => {
+    const format = detectTranscriptFormat(transcript.type);
+    const formatRank = transcript.type ? FORMAT_PREFERENCE.indexOf(format) : FORMAT_PREFERENCE.length;
+    const transcriptLanguage = String(transcript.language || "").toLowerCase();
+    const languageRank =
+      !wanted || transcriptLanguage === wanted || transcriptLanguage.startsWith(`${wanted}-`) ? 0 : 1;
+    return languageRank * 10 + formatRank;
+  };
+  return [...transcripts].sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+module.exports = {
+  detectTranscriptFormat,
+  parseTranscript,
+  pickTranscript,
+  toWebVtt,
+};
@@ -0,0 +1,294 @@
+const { createHmac, randomBytes, randomUUID, timingSafeEqual } = require("crypto");
+const { postForm } = require("./fetch-rss");
+const { parseRssFeed, storeFeedDocument, getFeedLinks } = require("./feed");
+const { createJsonFile, resolveDataPath } = require("./json-file");
+const { logDebug } = require("./logger");
+const { decodeText } = require("./charset");
+const { createAppError, toErrorRecord, toLastError } = require("./errors");
+
+const DEFAULT_LEASE_SECONDS = 7 * 24 * 60 * 60;
+const RENEW_BEFORE_SECONDS = 24 * 60 * 60;
+const RENEW_CHECK_SECONDS = 60 * 60;
+const SIGNATURE_ALGORITHMS = ["sha1", "sha256", "sha384", "sha512"];
+
+const publicBaseUrl = String(process.env.PUBLIC_BASE_URL || "")
+  .trim()
+  .replace(/\/+$/, "");
+
+const store = createJsonFile(resolveDataPath("websub.json"), () => ({ subscriptions: [] }));
+
+const toState = (state) => {
+  if (!Array.isArray(state.subscriptions)) state.subscriptions = [];
+  return state;
+};
+
+const readState = async () => toState((await store.read()) || {});
+
+const updateState = (mutate) => store.update((state) => mutate(toState(state)));
+
+const findRecord = (state, id) => state.subscriptions.find((entry) => entry.id === id);
+
+const updateRecord = (id, mutate) =>
+  updateState((state) => {
+    const record = findRecord(state, id);
+    return record ? mutate(record, state) : undefined;
+  });
+
+const removeRecord = (id) =>
+  updateState((state) => {
+    state.subscriptions = state.subscriptions.filter((entry) => entry.id !== id);
+  });
+
+const isWebSubConfigured = () => Boolean(publicBaseUrl);
+
+const getCallbackUrl = (id) => `${publicBaseUrl}/websub/callback/${encodeURIComponent(id)}`;
+
+const toIsoTime = (value) => (typeof value === "number" ? new Date(value).toISOString() : null);
+
+const toPublicSubscription = (record, locale) => ({
+  id: record.id,
+  url: record.feedUrl,
+  topic: record.topic,
+  hub: record.hub,
+  callbackUrl: getCallbackUrl(record.id),
+  status: record.status,
+  leaseSeconds: record.leaseSeconds ?? null,
+  requestedAt: toIsoTime(record.requestedAt),
+  verifiedAt: toIsoTime(record.verifiedAt),
+  expiresAt: toIsoTime(record.expiresAt),
+  lastPushAt: toIsoTime(record.lastPushAt),
+  ...toLastError(record.lastError, locale),
+});
+
+const requestHub = async (record, mode) => {
+  const response = await postForm(record.hub, {
+    "hub.mode": mode,
+    "hub.topic": record.topic,
+    "hub.callback": getCallbackUrl(record.id),
+    ...(mode === "subscribe"
+      ? { "hub.secret": record.secret, "hub.lease_seconds": String(DEFAULT_LEASE_SECONDS) }
+      : {}),
+  });
+  logDebug("websub hub request", { id: record.id, mode, statusCode: response.statusCode });
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw createAppError("HUB_STATUS", {
+      params: { statusCode: response.statusCode },
+      details: { hub: record.hub, statusCode: response.statusCode },
+    });
+  }
+};
+
+const isSameHost = (left, right) => {
+  try {
+    return new URL(left).host.toLowerCase() === new URL(right).host.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
+
+const isAcceptingPushes = (record, now = Date.now()) =>
+  record.status === "active" && (typeof record.expiresAt !== "number" || record.expiresAt > now);
+
+const listWebSubSubscriptions = async (options = {}) => {
+  const state = await readState();
+  return state.subscriptions.map((record) => toPublicSubscription(record, options.locale));
+};
+
+const getWebSubSubscription = async (id, options = {}) => {
+  const record = findRecord(await readState(), id);
+  return record ? toPublicSubscription(record, options.locale) : null;
+};
+
+const subscribeFeed = async (url, options = {}) => {
+  const parsed = await parseRssFeed(url, { refresh: true });
+  const links = getFeedLinks(parsed);
+  if (!links.hub) return null;
+
+  const topic = links.self || url;
+  if (!isSameHost(topic, url)) {
+    throw createAppError("TOPIC_HOST_MISMATCH", { details: { url, topic } });
+  }
+
+  const record = await updateState((state) => {
+    let entry = state.subscriptions.find((candidate) => candidate.feedUrl === url);
+    if (!entry) {
+      entry = { id: randomUUID(), feedUrl: url, secret: randomBytes(32).toString("hex") };
+      state.subscriptions.push(entry);
+    }
+    Object.assign(entry, {
+      topic,
+      hub: links.hub,
+      status: entry.status === "active" ? "active" : "pending",
+      requestedAt: Date.now(),
+      lastError: null,
+    });
+    return { ...entry };
+  });
+
+  try {
+    await requestHub(record, "subscribe");
+  } catch (error) {
+    await updateRecord(record.id, (entry) => {
+      entry.status = entry.status === "active" ? "active" : "failed";
+      entry.lastError = toErrorRecord(error, "HUB_REQUEST_FAILED");
+    });
+    throw error;
+  }
+
+  const current = findRecord(await readState(), record.id) || record;
+  return toPublicSubscription(current, options.locale);
+};
+
+const unsubscribeFeed = async (id) => {
+  const record = await updateRecord(id, (entry) => {
+    const previous = { ...entry };
+    entry.status = "unsubscribing";
+    return previous;
+  });
+  if (!record) return false;
+
+  let removeNow = record.status !== "active";
+  if (!removeNow) {
+    try {
+      await requestHub(record, "unsubscribe");
+    } catch (error) {
+      logDebug("websub unsubscribe failed", { id, error: error.code || error.message });
+      removeNow = true;
+    }
+  }
+  if (removeNow) {
+    await removeRecord(id);
+  }
+  return true;
+};
+
+const verifyIntent = (id, query = {}) =>
+  updateState((state) => {
+    const record = findRecord(state, id);
+    const mode = query["hub.mode"];
+    if (!record || query["hub.topic"] !== record.topic) return null;
+
+    if (mode === "denied") {
+      record.status = "denied";
+      logDebug("websub denied", { id, reason: query["hub.reason"] || "" });
+      record.lastError = toErrorRecord(createAppError("HUB_DENIED"));
+      return "";
+    }
+
+    const challenge = query["hub.challenge"];
+    if (typeof challenge !== "string" || !challenge) return null;
+
+    if (mode === "subscribe" && ["pending", "active"].includes(record.status)) {
+      const leaseSeconds = Number.parseInt(query["hub.lease_seconds"], 10);
+      const hasLease = Number.isFinite(leaseSeconds) && leaseSeconds > 0;
+      const now = Date.now();
+      Object.assign(record, {
+        status: "active",
+        verifiedAt: now,
+        leaseSeconds: hasLease ? leaseSeconds : null,
+        expiresAt: hasLease ? now + leaseSeconds * 1000 : null,
+        lastError: null,
+      });
+      return challenge;
+    }
+
+    if (mode === "unsubscribe" && record.status === "unsubscribing") {
+      state.subscriptions = state.subscriptions.filter((entry) => entry.id !== id);
+      return challenge;
+    }
+
+    return null;
+  });
+
+const isValidSignature = (secret, header, body) => {
+  const [algorithm, signature] = String(header || "").split("=");
+  if (!SIGNATURE_ALGORITHMS.includes(algorithm) || !/^[0-9a-f]+$/i.test(signature || "")) {
+    return false;
+  }
+  const expected = createHmac(algorithm, secret).update(body).digest();
+  const provided = Buffer.from(signature, "hex");
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+};
+
+const ingestPush = async (id, body, signature, contentType) => {
+  const record = findRecord(await readState(), id);
+  if (!record) return "gone";
+
+  if (!isValidSignature(record.secret, signature, body)) {
+    logDebug("websub signature mismatch", id);
+    return "ignored";
+  }
+
+  if (!isAcceptingPushes(record)) {
+    logDebug("websub push for inactive subscription", { id, status: record.status });
+    return "gone";
+  }
+
+  const content = decodeText(body, contentType);
+  try {
+    await storeFeedDocument(record.feedUrl, content);
+  } catch (error) {
+    await updateRecord(id, (entry) => {
+      entry.lastError = toErrorRecord(error, "PARSE_ERROR");
+    });
+    return "invalid";
+  }
+
+  await updateRecord(id, (entry) => {
+    entry.lastPushAt = Date.now();
+    entry.lastError = null;
+  });
+  return "stored";
+};
+
+const renewExpiringSubscriptions = async () => {
+  const state = await readState();
+  const threshold = Date.now() + RENEW_BEFORE_SECONDS * 1000;
+  const expiring = state.subscriptions.filter(
+    (record) =>
+      record.status === "active" &&
+      typeof record.expiresAt === "number" &&
+      record.expiresAt < threshold,
+  );
+
+  for (const record of expiring) {
+    let lastError = null;
+    try {
+      await requestHub(record, "subscribe");
+    } catch (error) {
+      lastError = toErrorRecord(error, "HUB_REQUEST_FAILED");
+    }
+    await updateRecord(record.id, (entry) => {
+      if (lastError) {
+        entry.lastError = lastError;
+      } else {
+        entry.requestedAt = Date.now();
+      }
+    });
+  }
+};
+
+const startWebSubRenewal = () => {
+  const tick = () => {
+    renewExpiringSubscriptions().catch((error) => {
+      console.error("[websub]", error.message || error);
+    });
+  };
+
+  const timer = setInterval(tick, RENEW_CHECK_SECONDS * 1000);
+  timer.unref();
+  setImmediate(tick);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  isWebSubConfigured,
+  listWebSubSubscriptions,
+  getWebSubSubscription,
+  subscribeFeed,
+  unsubscribeFeed,
+  verifyIntent,
+  ingestPush,
+  startWebSubRenewal,
+};
@@ -0,0 +1,91 @@
+const { Router } = require("express");
+const {
+  API_SCOPES,
+  ALL_SCOPES,
+  isLegacyKeyId,
+  normalizeScopes,
+  normalizeRateLimit,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getUsageReport,
+} = require("../../lib/api-keys");
+const { createAppError } = require("../../lib/errors");
+const { disableCache, sendError } = require("./helpers");
+
+const router = Router();
+
+const MAX_NAME_LENGTH = 100;
+
+router.use((req, res, next) => {
+  disableCache(res);
+  next();
+});
+
+router.get("/keys", async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys() });
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.post("/keys", async (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+  const scopes = normalizeScopes(req.body?.scopes);
+  const rateLimit = normalizeRateLimit(req.body?.rateLimit);
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    sendError(req, res, createAppError("INVALID_KEY_NAME", { params: { max: MAX_NAME_LENGTH } }));
+    return;
+  }
+
+  if (!scopes) {
+    sendError(
+      req,
+      res,
+      createAppError("INVALID_SCOPES", {
+        params: { scopes: [ALL_SCOPES, ...API_SCOPES].join(", ") },
+      }),
+    );
+    return;
+  }
+
+  if (rateLimit === undefined) {
+    sendError(req, res, createAppError("INVALID_RATE_LIMIT"));
+    return;
+  }
+
+  try {
+    res.status(201).json(await createApiKey({ name, scopes, rateLimit }));
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.delete("/keys/:id", async (req, res) => {
+  if (isLegacyKeyId(req.params.id)) {
+    sendError(req, res, createAppError("LEGACY_KEY_READONLY"));
+    return;
+  }
+
+  try {
+    if (!(await revokeApiKey(req.params.id))) {
+      sendError(req, res, createAppError("API_KEY_NOT_FOUND"));
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.get("/usage", async (req, res) => {
+  try {
+    res.json({ keys: await getUsageReport() });
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const { hasScope } = require("../../lib/api-keys");
+const { hasValidImageSignature } = require("../../lib/image-proxy");
+const {
+  createAppError,
+  toAppError,
+  resolveLocale,
+  localizeError,
+} = require("../../lib/errors");
+
+const getQueryParam = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toLocaleOptions = (req) => ({ locale: resolveLocale(req.get("accept-language")) });
+
+const isRefreshRequested = (value) => {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return isRefreshRequested(value[0]);
+  const normalized = String(value).trim().toLowerCase();
+  if (!normalized) return false;
+  return !["0", "false", "no"].includes(normalized);
+};
+
+const setCacheHeader = (res, seconds) => {
+  res.set("Cache-Control", `public, s-maxage=${seconds}, max-age=0`);
+};
+
+const disableCache = (res) => {
+  res.set("Cache-Control", "no-store");
+};
+
+const toErrorBody = (req, error, fallbackCode) => {
+  const appError = toAppError(error, fallbackCode);
+  return {
+    error: localizeError(appError, resolveLocale(req.get("accept-language"))),
+    code: appError.code,
+    ...(appError.details ? { details: appError.details } : {}),
+  };
+};
+
+const toResultBody = (req, result) =>
+  result.ok ? result : { ...result, ...toErrorBody(req, result.error) };
+
+const sendError = (req, res, error, fallbackCode) => {
+  const appError = toAppError(error, fallbackCode);
+  if (appError.params.retryAfter) {
+    res.set("Retry-After", String(appError.params.retryAfter));
+  }
+  res.set("Content-Language", resolveLocale(req.get("accept-language")));
+  res.status(appError.status).json(toErrorBody(req, appError));
+};
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || !hasScope(req.apiKey, scope)) {
+    sendError(req, res, createAppError("FORBIDDEN_SCOPE", { params: { scope } }));
+    return;
+  }
+  next();
+};
+
+const isSignedImageRequest = (req) =>
+  hasValidImageSignature({
+    src: getQueryParam(req.query?.src),
+    width: getQueryParam(req.query?.w),
+    format: getQueryParam(req.query?.format),
+    sig: getQueryParam(req.query?.sig),
+  });
+
+module.exports = {
+  getQueryParam,
+  toLocaleOptions,
+  isRefreshRequested,
+  setCacheHeader,
+  disableCache,
+  toErrorBody,
+  toResultBody,
+  sendError,
+  requireScope,
+  isSignedImageRequest,
+};
@@ -0,0 +1,59 @@
+const { Router } = require("express");
+const {
+  IMAGE_CACHE_SECONDS,
+  parseImageOptions,
+  getProxiedImage,
+} = require("../../lib/image-proxy");
+const { createAppError } = require("../../lib/errors");
+const {
+  getQueryParam,
+  disableCache,
+  sendError,
+  requireScope,
+  isSignedImageRequest,
+} = require("./helpers");
+
+const router = Router();
+
+router.use((req, res, next) => {
+  if (isSignedImageRequest(req)) {
+    next();
+    return;
+  }
+  requireScope("image")(req, res, next);
+});
+
+router.get("/", async (req, res) => {
+  const src = String(getQueryParam(req.query?.src) || "").trim();
+
+  if (!src) {
+    disableCache(res);
+    sendError(req, res, createAppError("MISSING_IMAGE_SRC"));
+    return;
+  }
+
+  const { options, error: optionsError } = parseImageOptions({
+    width: getQueryParam(req.query?.w),
+    format: getQueryParam(req.query?.format),
+  });
+  if (optionsError) {
+    disableCache(res);
+    sendError(req, res, optionsError);
+    return;
+  }
+
+  try {
+    const { body, contentType } = await getProxiedImage(src, options);
+    res.set(
+      "Cache-Control",
+      `public, max-age=${IMAGE_CACHE_SECONDS}, s-maxage=${IMAGE_CACHE_SECONDS}`,
+    );
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(contentType).send(body);
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, error, "INVALID_IMAGE");
+  }
+});
+
+module.exports = router;
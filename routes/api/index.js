@@ -1,8 +1,21 @@
 const { Router } = require("express");
 const podcastRouter = require("./podcast");
+const opmlRouter = require("./opml");
+const subscriptionsRouter = require("./subscriptions");
+const websubRouter = require("./websub");
+const searchRouter = require("./search");
+const imageRouter = require("./image");
+const adminRouter = require("./admin");
+const { requireScope } = require("./helpers");
 
 const router = Router();
 
-router.use("/podcast", podcastRouter);
+router.use("/podcast", requireScope("podcast"), podcastRouter);
+router.use("/opml", requireScope("opml"), opmlRouter);
+router.use("/subscriptions", requireScope("subscriptions"), subscriptionsRouter);
+router.use("/websub", requireScope("websub"), websubRouter);
+router.use("/search", requireScope("search"), searchRouter);
+router.use("/image", imageRouter);
+router.use("/admin", requireScope("admin"), adminRouter);
 
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require("express");
+const { resolvePodcasts, toTextValue, toLink } = require("../../lib/feed");
+const { parseOpml, buildOpml } = require("../../lib/opml");
+const { createAppError } = require("../../lib/errors");
+const {
+  getQueryParam,
+  isRefreshRequested,
+  disableCache,
+  toResultBody,
+  sendError,
+} = require("./helpers");
+
+const router = express.Router();
+
+const MAX_OPML_FEEDS = 500;
+const OPML_BODY_LIMIT = "2mb";
+
+const shouldResolve = (value) => {
+  if (value === undefined || value === null || value === "") return true;
+  return isRefreshRequested(value);
+};
+
+const toExportEntry = (entry) => {
+  if (typeof entry === "string") {
+    return { url: entry.trim(), title: "", htmlUrl: "" };
+  }
+  if (!entry || typeof entry !== "object") {
+    return { url: "", title: "", htmlUrl: "" };
+  }
+  return {
+    url: typeof entry.url === "string" ? entry.url.trim() : "",
+    title: typeof entry.title === "string" ? entry.title.trim() : "",
+    htmlUrl: typeof entry.htmlUrl === "string" ? entry.htmlUrl.trim() : "",
+  };
+};
+
+router.use(
+  express.text({
+    type: ["text/*", "application/xml", "application/*+xml"],
+    limit: OPML_BODY_LIMIT,
+  }),
+);
+
+router.post("/import", async (req, res) => {
+  const content = typeof req.body === "string" ? req.body : req.body?.opml;
+  const bypassCache = isRefreshRequested(getQueryParam(req.query?.refresh));
+  const resolve = shouldResolve(getQueryParam(req.query?.resolve));
+
+  disableCache(res);
+
+  if (!content || typeof content !== "string") {
+    sendError(req, res, createAppError("MISSING_OPML"));
+    return;
+  }
+
+  let opml;
+  try {
+    opml = parseOpml(content);
+  } catch (error) {
+    sendError(req, res, error, "INVALID_OPML");
+    return;
+  }
+
+  if (opml.feeds.length > MAX_OPML_FEEDS) {
+    sendError(req, res, createAppError("TOO_MANY_FEEDS", { params: { max: MAX_OPML_FEEDS } }));
+    return;
+  }
+
+  if (!resolve) {
+    res.json({ title: opml.title, total: opml.feeds.length, feeds: opml.feeds });
+    return;
+  }
+
+  const results = await resolvePodcasts(opml.feeds, { refresh: bypassCache });
+  const feeds = opml.feeds.map((feed, index) => ({
+    ...feed,
+    ...toResultBody(req, results[index]),
+  }));
+
+  res.json({
+    title: opml.title,
+    total: feeds.length,
+    succeeded: feeds.filter((feed) => feed.ok).length,
+    feeds,
+  });
+});
+
+router.post("/export", async (req, res) => {
+  const body = req.body;
+  const feeds = Array.isArray(body) ? body : body?.feeds;
+  const title = typeof body?.title === "string" && body.title.trim() ? body.title.trim() : undefined;
+  const resolve = shouldResolve(getQueryParam(req.query?.resolve));
+
+  disableCache(res);
+
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    sendError(req, res, createAppError("MISSING_URL_LIST"));
+    return;
+  }
+
+  if (feeds.length > MAX_OPML_FEEDS) {
+    sendError(req, res, createAppError("TOO_MANY_FEEDS", { params: { max: MAX_OPML_FEEDS } }));
+    return;
+  }
+
+  const entries = feeds.map(toExportEntry).filter((entry) => entry.url);
+  if (!entries.length) {
+    sendError(req, res, createAppError("MISSING_URL_LIST"));
+    return;
+  }
+
+  const missing = resolve ? entries.filter((entry) => !entry.title || !entry.htmlUrl) : [];
+  const results = await resolvePodcasts(missing);
+  results.forEach((result, index) => {
+    if (!result.ok) return;
+    const entry = missing[index];
+    entry.title = entry.title || toTextValue(result.podcast.name).trim();
+    entry.htmlUrl = entry.htmlUrl || toLink(result.podcast.website);
+  });
+
+  res
+    .type("text/x-opml; charset=utf-8")
+    .attachment("subscriptions.opml")
+    .send(buildOpml({ title, feeds: entries }));
+});
+
+module.exports = router;
@@ -1,876 +1,595 @@
-const http = require("http");
-const https = require("https");
-const zlib = require("zlib");
-const dns = require("dns").promises;
-const net = require("net");
-const { createHash } = require("crypto");
-const { XMLParser } = require("fast-xml-parser");
-const sanitizeHtml = require("sanitize-html");
-const { decode } = require("he");
 const { Router } = require("express");
+const {
+  PER_PAGE,
+  MAX_LIMIT,
+  PODCAST_CACHE_SECONDS,
+  EPISODES_CACHE_SECONDS,
+  parseTimestamp,
+  toNumberOrNull,
+  resolveUrl,
+  loadFeed,
+  parseRssFeed,
+  loadEpisodesPage,
+  loadEpisode,
+  extractPodcastInfo,
+  hasPodcastInfo,
+  extractFeedDocument,
+  encodeCursor,
+  decodeCursor,
+  resolveEpisodeChapters,
+  fetchTranscript,
+  resolvePodcasts,
+  extractFeedUpdates,
+} = require("../../lib/feed");
+const { pickTranscript, toWebVtt } = require("../../lib/transcript");
+const { buildRssFeed } = require("../../lib/rss-builder");
+const { validateFeed } = require("../../lib/feed-validator");
+const { createAppError, resolveLocale } = require("../../lib/errors");
+const { parseImageOptions, createImageRewriter } = require("../../lib/image-proxy");
+const {
+  getQueryParam,
+  isRefreshRequested,
+  setCacheHeader,
+  disableCache,
+  toResultBody,
+  sendError,
+} = require("./helpers");
 
 const router = Router();
-const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
-
-const MAX_REDIRECTS = 3;
-const PER_PAGE = 10;
-const MAX_LIMIT = 50;
-const PODCAST_CACHE_SECONDS = 60 * 60 * 48;
-const EPISODES_CACHE_SECONDS = 60 * 60 * 36;
-const REQUEST_TIMEOUT_MS = 10000;
-const MAX_RSS_BYTES = 5 * 1024 * 1024;
-const DEBUG = process.env.DEBUG_RSS === "1";
-const BLOCKQUOTE_OPEN_TOKEN = "__BLOCKQUOTE_OPEN__";
-const BLOCKQUOTE_CLOSE_TOKEN = "__BLOCKQUOTE_CLOSE__";
-
-const logDebug = (...args) => {
-  if (!DEBUG) return;
-  console.log("[rss]", ...args);
-};
 
-const ensureArray = (value) => {
-  if (!value) return [];
-  return Array.isArray(value) ? value : [value];
-};
+const MAX_BATCH_SIZE = 200;
 
-const getQueryParam = (value) => (Array.isArray(value) ? value[0] : value);
+const EPISODE_TYPES = ["full", "trailer", "bonus"];
 
-const isRefreshRequested = (value) => {
-  if (value === undefined || value === null) return false;
-  if (Array.isArray(value)) return isRefreshRequested(value[0]);
-  const normalized = String(value).trim().toLowerCase();
-  if (!normalized) return false;
-  return !["0", "false", "no"].includes(normalized);
+const parseFilterTime = (value) => {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const number = Number.parseInt(text, 10);
+    return number < 1e11 ? number * 1000 : number;
+  }
+  return parseTimestamp(text);
 };
 
-const setCacheHeader = (res, seconds) => {
-  res.set("Cache-Control", `public, s-maxage=${seconds}, max-age=0`);
-};
+const parseEpisodeFilters = (query = {}) => {
+  const sort = getQueryParam(query.sort);
+  const since = getQueryParam(query.since);
+  const until = getQueryParam(query.until);
+  const season = getQueryParam(query.season);
+  const episodeType = getQueryParam(query.episodeType);
+  const q = getQueryParam(query.q);
+  const filters = {};
+
+  if (sort !== undefined && sort !== "") {
+    const normalized = String(sort).trim().toLowerCase();
+    if (!["newest", "oldest"].includes(normalized)) {
+      return { error: createAppError("INVALID_SORT") };
+    }
+    filters.sort = normalized;
+  }
 
-const disableCache = (res) => {
-  res.set("Cache-Control", "no-store");
-};
+  for (const [name, value] of [
+    ["since", since],
+    ["until", until],
+  ]) {
+    if (value === undefined || value === "") continue;
+    const timestamp = parseFilterTime(value);
+    if (timestamp === null) {
+      return { error: createAppError("INVALID_TIME", { params: { name } }) };
+    }
+    filters[name] = timestamp;
+  }
 
-const parseTimestamp = (value) => {
-  if (!value) return null;
-  const date = new Date(value);
-  const timestamp = date.getTime();
-  if (Number.isNaN(timestamp)) {
-    return null;
+  if (season !== undefined && season !== "") {
+    const seasonNumber = toNumberOrNull(season);
+    if (seasonNumber === null) {
+      return { error: createAppError("INVALID_SEASON") };
+    }
+    filters.season = seasonNumber;
   }
-  return timestamp;
-};
 
-const buildEpisodeId = (episode = {}) => {
-  const fallbackSource = `${episode.title || ""}-${episode.publishedAt || ""}-${episode.audio || ""}`;
-  const source =
-    episode.guid ||
-    episode.id ||
-    episode.uid ||
-    episode.audio ||
-    episode.url ||
-    episode.link ||
-    fallbackSource;
-  return createHash("sha256").update(String(source)).digest("hex");
-};
+  if (episodeType !== undefined && episodeType !== "") {
+    const episodeTypes = String(episodeType)
+      .split(",")
+      .map((type) => type.trim().toLowerCase())
+      .filter(Boolean);
+    if (!episodeTypes.length || episodeTypes.some((type) => !EPISODE_TYPES.includes(type))) {
+      return { error: createAppError("INVALID_EPISODE_TYPE") };
+    }
+    filters.episodeTypes = episodeTypes;
+  }
 
-const escapeHtml = (value = "") => {
-  const text = value == null ? "" : String(value);
-  return text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-};
+  if (q !== undefined) {
+    const terms = String(q).toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length) {
+      filters.terms = terms;
+    }
+  }
 
-const addReadableSpacing = (value = "") => {
-  const text = value == null ? "" : String(value);
-  return text
-    .replace(/([\u4e00-\u9fa5])([A-Za-z0-9])/g, "$1 $2")
-    .replace(/([A-Za-z0-9])([\u4e00-\u9fa5])/g, "$1 $2");
+  return { filters };
 };
 
-const sanitizeOptions = {
-  allowedTags: [
-    "p",
-    "br",
-    "strong",
-    "b",
-    "em",
-    "i",
-    "u",
-    "ul",
-    "ol",
-    "li",
-    "a",
-    "blockquote",
-    "code",
-    "pre",
-    "span",
-    "hr",
-    "sup",
-    "sub",
-    "h1",
-    "h2",
-    "h3",
-    "h4",
-    "h5",
-    "h6",
-    "table",
-    "thead",
-    "tbody",
-    "tr",
-    "th",
-    "td",
-    "dl",
-    "dt",
-    "dd",
-    "figure",
-    "figcaption",
-    "img",
-  ],
-  allowedAttributes: {
-    a: ["href", "title", "target", "rel"],
-    img: ["src", "alt", "title", "width", "height", "loading"],
-    td: ["colspan", "rowspan"],
-    th: ["colspan", "rowspan"],
-    "*": [],
-  },
-  allowedSchemes: ["http", "https", "mailto"],
-  transformTags: {
-    a: (tagName, attribs) => ({
-      tagName: "a",
-      attribs: {
-        ...attribs,
-        target: "_blank",
-        rel: "noopener noreferrer",
-      },
+const parseImageRewrite = (req, url) => {
+  if (!isRefreshRequested(getQueryParam(req.query?.proxyImages))) {
+    return {};
+  }
+
+  const { options, error } = parseImageOptions({
+    width: getQueryParam(req.query?.imageWidth),
+    format: getQueryParam(req.query?.imageFormat),
+  });
+  if (error) {
+    return { error };
+  }
+
+  return {
+    rewriteImage: createImageRewriter({
+      baseUrl: `${req.protocol}://${req.get("host")}`,
+      feedUrl: url,
+      width: options.width || undefined,
+      format: options.format,
     }),
-  },
-  textFilter: (text) => text,
+  };
 };
 
-const decodeHtml = (value) => {
-  if (!value || typeof value !== "string") {
-    return "";
+router.get("/", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
+  const refresh = getQueryParam(req.query?.refresh);
+
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
   }
-  return decode(value, { isAttributeValue: false, strict: false });
-};
 
-const toText = (value) => {
-  const decoded = decodeHtml(value);
-  if (!decoded) {
-    return "";
-  }
-  return decoded
-    .replace(/<(br|BR)\s*\/?>/g, "\n")
-    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
-    .replace(/<[^>]*>/g, "")
-    .replace(/\r\n?/g, "\n")
-    .replace(/[ \t]+\n/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-};
+  const { rewriteImage, error: imageError } = parseImageRewrite(req, url);
+  if (imageError) {
+    sendError(req, res, imageError);
+    return;
+  }
 
-const convertHtmlToPlainText = (value = "") => {
-  const text = value == null ? "" : String(value);
-  return text
-    .replace(/<strong[^>]*>/gi, "__STRONG_OPEN__")
-    .replace(/<\/strong>/gi, "__STRONG_CLOSE__")
-    .replace(/<b[^>]*>/gi, "__STRONG_OPEN__")
-    .replace(/<\/b>/gi, "__STRONG_CLOSE__")
-    .replace(/<em[^>]*>/gi, "__EM_OPEN__")
-    .replace(/<\/em>/gi, "__EM_CLOSE__")
-    .replace(/<i[^>]*>/gi, "__EM_OPEN__")
-    .replace(/<\/i>/gi, "__EM_CLOSE__")
-    .replace(/<blockquote[^>]*>/gi, `\n\n${BLOCKQUOTE_OPEN_TOKEN}\n\n`)
-    .replace(/<\/blockquote>/gi, `\n\n${BLOCKQUOTE_CLOSE_TOKEN}\n\n`)
-    .replace(/<\s*br\s*\/?\s*>/gi, "\n")
-    .replace(/<\/p>/gi, "\n\n")
-    .replace(/<\/div>/gi, "\n\n")
-    .replace(/<\s*(h[1-6]|section|article)[^>]*>/gi, "\n\n")
-    .replace(/<\/\s*(h[1-6]|section|article)>/gi, "\n\n")
-    .replace(/<li[^>]*>/gi, "• ")
-    .replace(/<\/li>/gi, "\n")
-    .replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "")
-    .replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, "")
-    .replace(/<[^>]+>/g, "")
-    .replace(/\r\n?/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-};
+  const bypassCache = isRefreshRequested(refresh);
 
-const applyFormattingTokens = (input) => {
-  if (!input) {
-    return "";
-  }
-  const tokens = [
-    { open: "__STRONG_OPEN__", close: "__STRONG_CLOSE__", tag: "strong" },
-    { open: "__EM_OPEN__", close: "__EM_CLOSE__", tag: "em" },
-  ];
-
-  let output = input;
-
-  tokens.forEach(({ open, close, tag }) => {
-    let result = "";
-    let remaining = output;
-    let depth = 0;
-
-    while (remaining.length) {
-      const openIndex = remaining.indexOf(open);
-      const closeIndex = remaining.indexOf(close);
-
-      if (openIndex === -1 && closeIndex === -1) {
-        result += remaining;
-        break;
-      }
-
-      const useOpen = openIndex !== -1 && (closeIndex === -1 || openIndex < closeIndex);
-      const tokenIndex = useOpen ? openIndex : closeIndex;
-      const tokenLength = useOpen ? open.length : close.length;
-
-      result += remaining.slice(0, tokenIndex);
-      remaining = remaining.slice(tokenIndex + tokenLength);
-
-      if (useOpen) {
-        depth += 1;
-        result += `<${tag}>`;
-      } else if (depth > 0) {
-        depth -= 1;
-        result += `</${tag}>`;
-      }
-    }
+  try {
+    const { parsed, truncated } = await loadFeed(url, {
+      refresh: bypassCache,
+      ttl: PODCAST_CACHE_SECONDS,
+    });
+    const podcast = extractPodcastInfo(parsed, url, { rewriteImage });
 
-    while (depth > 0) {
-      result += `</${tag}>`;
-      depth -= 1;
+    if (bypassCache || !hasPodcastInfo(podcast)) {
+      disableCache(res);
+    } else {
+      setCacheHeader(res, PODCAST_CACHE_SECONDS);
     }
 
-    output = result;
-  });
+    res.json({ podcast, ...(truncated ? { truncated: true } : {}) });
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, error, "PARSE_ERROR");
+  }
+});
 
-  return output;
-};
+router.get("/episodes", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
+  const cursor = getQueryParam(req.query?.cursor);
+  const limit = getQueryParam(req.query?.limit);
+  const refresh = getQueryParam(req.query?.refresh);
 
-const highlightTimestampsInPlainText = (html) => {
-  return html.replace(/(^|[^0-9])(\d{1,2}:\d{2}(?::\d{2})?)(?![0-9:])/g, (match, prefix, time) => {
-    return `${prefix}<button class="timestamp" type="button" data-timestamp="${time}">${time}</button>`;
-  });
-};
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
+  }
+
+  const decodedCursor = decodeCursor(cursor);
+  if (!decodedCursor) {
+    sendError(req, res, createAppError("INVALID_CURSOR"));
+    return;
+  }
+
+  const { filters, error: filterError } = parseEpisodeFilters(req.query);
+  if (filterError) {
+    sendError(req, res, filterError);
+    return;
+  }
 
-const highlightTimestampsInHtml = (html) => {
-  if (!html) {
-    return "";
-  }
-  const parts = String(html).split(/(<[^>]+>)/g);
-  const stack = [];
-  let timestampDepth = 0;
-  const isSelfClosing = (tag) => /\/\s*>$/.test(tag) || /^<\s*(br|hr)\b/i.test(tag);
-  const isTimestampTag = (tag) => {
-    return (
-      /\bclass\s*=\s*["'][^"']*\btimestamp\b[^"']*["']/i.test(tag) ||
-      /\bdata-timestamp\s*=/i.test(tag)
+  const { rewriteImage, error: imageError } = parseImageRewrite(req, url);
+  if (imageError) {
+    sendError(req, res, imageError);
+    return;
+  }
+
+  const parsedLimit = Number.parseInt(limit ?? String(PER_PAGE), 10);
+  const safeLimit =
+    Number.isNaN(parsedLimit) || parsedLimit < 1
+      ? PER_PAGE
+      : Math.min(parsedLimit, MAX_LIMIT);
+  const bypassCache = isRefreshRequested(refresh);
+
+  try {
+    const { parsed, truncated, total, start, episodes, hasMore } = await loadEpisodesPage(
+      url,
+      decodedCursor,
+      safeLimit,
+      filters,
+      { refresh: bypassCache, ttl: EPISODES_CACHE_SECONDS, rewriteImage },
     );
-  };
+    const podcast = extractPodcastInfo(parsed, url, { rewriteImage });
+    const nextCursor = hasMore
+      ? encodeCursor(episodes[episodes.length - 1], start + episodes.length)
+      : null;
+    const paginated = episodes;
 
-  return parts
-    .map((segment) => {
-      if (!segment) {
-        return "";
-      }
-      if (segment.startsWith("<")) {
-        const closingMatch = segment.match(/^<\s*\/\s*([a-z0-9:-]+)/i);
-        if (closingMatch) {
-          const last = stack.pop();
-          if (last) {
-            timestampDepth = Math.max(0, timestampDepth - 1);
-          }
-          return segment;
-        }
-        if (isSelfClosing(segment)) {
-          return segment;
-        }
-        const isTimestamp = isTimestampTag(segment);
-        stack.push(isTimestamp);
-        if (isTimestamp) {
-          timestampDepth += 1;
-        }
-        return segment;
-      }
-
-      if (timestampDepth > 0) {
-        return segment;
-      }
-
-      return segment.replace(/(\d{1,2}:\d{2}(?::\d{2})?)/g, (match) => {
-        const trimmed = match.trim();
-        if (!trimmed) {
-          return match;
-        }
-        return `<button class="timestamp" type="button" data-timestamp="${trimmed}">${trimmed}</button>`;
-      });
-    })
-    .join("");
-};
+    if (bypassCache || paginated.length === 0) {
+      disableCache(res);
+    } else {
+      setCacheHeader(res, EPISODES_CACHE_SECONDS);
+    }
 
-const buildHtmlFromPlainText = (text, escapeHtmlFn) => {
-  if (!text) {
-    return "";
+    res.json({
+      podcast,
+      pagination: {
+        cursor: start,
+        limit: safeLimit,
+        total,
+        nextCursor,
+        hasMore,
+      },
+      episodes: paginated,
+      ...(truncated ? { truncated: true } : {}),
+    });
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, error, "PARSE_ERROR");
   }
-  const paragraphs = text
-    .split(/\n{2,}/)
-    .map((segment) => segment.trim())
-    .filter(Boolean);
-  if (!paragraphs.length) {
-    return "";
+});
+
+router.get("/feed.xml", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
+  const limit = getQueryParam(req.query?.limit);
+  const refresh = getQueryParam(req.query?.refresh);
+
+  if (!url) {
+    disableCache(res);
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
   }
 
-  const wrapParagraph = (paragraph) => {
-    const safe = escapeHtmlFn(paragraph).replace(/\n/g, "<br />");
-    return `<p>${highlightTimestampsInPlainText(applyFormattingTokens(safe))}</p>`;
-  };
+  const parsedLimit = Number.parseInt(limit ?? "0", 10);
+  const safeLimit = Number.isNaN(parsedLimit) || parsedLimit < 1 ? 0 : parsedLimit;
+  const bypassCache = isRefreshRequested(refresh);
 
-  const htmlParagraphs = [];
-  let blockquoteBuffer = [];
-  let insideBlockquote = false;
+  try {
+    const parsed = await parseRssFeed(url, {
+      refresh: bypassCache,
+      ttl: EPISODES_CACHE_SECONDS,
+    });
+    const feed = extractFeedDocument(parsed, url, { limit: safeLimit });
 
-  const flushBlockquote = () => {
-    if (!blockquoteBuffer.length) {
-      insideBlockquote = false;
-      blockquoteBuffer = [];
+    if (!hasPodcastInfo(feed.podcast)) {
+      disableCache(res);
+      sendError(req, res, createAppError("INVALID_FEED"));
       return;
     }
-    htmlParagraphs.push(`<blockquote>${blockquoteBuffer.join("")}</blockquote>`);
-    insideBlockquote = false;
-    blockquoteBuffer = [];
-  };
 
-  paragraphs.forEach((paragraph) => {
-    if (paragraph === BLOCKQUOTE_OPEN_TOKEN) {
-      if (insideBlockquote && blockquoteBuffer.length) {
-        flushBlockquote();
-      }
-      insideBlockquote = true;
-      return;
-    }
-    if (paragraph === BLOCKQUOTE_CLOSE_TOKEN) {
-      if (insideBlockquote) {
-        flushBlockquote();
-      }
-      return;
-    }
-    const wrapped = wrapParagraph(paragraph);
-    if (insideBlockquote) {
-      blockquoteBuffer.push(wrapped);
+    if (bypassCache) {
+      disableCache(res);
     } else {
-      htmlParagraphs.push(wrapped);
+      setCacheHeader(res, EPISODES_CACHE_SECONDS);
     }
-  });
 
-  if (insideBlockquote && blockquoteBuffer.length) {
-    flushBlockquote();
+    const selfUrl = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+    selfUrl.searchParams.delete("api_key");
+    res
+      .type("application/rss+xml; charset=utf-8")
+      .send(buildRssFeed(feed, { selfUrl: selfUrl.href }));
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, error, "PARSE_ERROR");
   }
+});
 
-  if (!htmlParagraphs.length) {
-    return "";
-  }
-  return `<div class="episode-detail-description">${htmlParagraphs.join("")}</div>`;
-};
+router.get("/validate", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
 
-const buildEpisodeDescriptionHtml = (options = {}) => {
-  const { html, fallbackText, escapeHtml: escapeHtmlFn } = options;
-  const safeEscape = typeof escapeHtmlFn === "function" ? escapeHtmlFn : (value) => value;
-  const sanitizedHtml = html ? String(html).trim() : "";
-  if (sanitizedHtml) {
-    return `<div class="episode-detail-description">${highlightTimestampsInHtml(sanitizedHtml)}</div>`;
-  }
+  disableCache(res);
 
-  const safeFallback = fallbackText ? String(fallbackText).trim() : "";
-  if (!safeFallback) {
-    return "";
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
   }
-  return buildHtmlFromPlainText(safeFallback, safeEscape);
-};
 
-const toRichHtml = (value) => {
-  const decoded = decodeHtml(value);
-  if (!decoded) {
-    return "";
+  try {
+    const locale = resolveLocale(req.get("accept-language"));
+    const report = await validateFeed(url, { locale });
+    res.set("Content-Language", locale);
+    res.json(report);
+  } catch (error) {
+    sendError(req, res, error, "PARSE_ERROR");
   }
+});
 
-  return cleanEmptyHtml(sanitizeHtml(decoded, sanitizeOptions)).trim();
-};
+router.get("/updates", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
+  const since = getQueryParam(req.query?.since);
+  const knownHash = getQueryParam(req.query?.hash);
+  const limit = getQueryParam(req.query?.limit);
+  const refresh = getQueryParam(req.query?.refresh);
 
-const cleanEmptyHtml = (html) => {
-  if (!html) return "";
-  let output = html;
-  const emptyTagPattern =
-    /<(span|p|div|section|article|strong|b|em|i|u|blockquote|code|pre|figure|figcaption)\b[^>]*>(?:\s|&nbsp;|<br\s*\/?>)*<\/\1>/gi;
-  let previous;
-  do {
-    previous = output;
-    output = output.replace(emptyTagPattern, "");
-  } while (output !== previous);
-  return output.replace(/(?:<br\s*\/?>\s*){2,}/gi, "<br />").trim();
-};
+  disableCache(res);
 
-const toLink = (value) => {
-  if (!value) {
-    return "";
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
   }
-  if (typeof value === "string") {
-    return decodeHtml(value).trim();
+
+  const marker = since === undefined || since === null ? "" : String(since).trim();
+  const sinceId = /^[0-9a-f]{64}$/i.test(marker) ? marker.toLowerCase() : undefined;
+  const sinceTime = marker && !sinceId ? parseFilterTime(marker) : undefined;
+  if (sinceTime === null) {
+    sendError(req, res, createAppError("INVALID_SINCE"));
+    return;
   }
-  if (typeof value === "object") {
-    if (Array.isArray(value)) {
-      return value.length ? toLink(value[0]) : "";
-    }
-    if (typeof value?.["@_href"] === "string") {
-      return decodeHtml(value["@_href"]).trim();
-    }
-    if (typeof value?.url === "string") {
-      return decodeHtml(value.url).trim();
-    }
-    if (typeof value?.["#text"] === "string") {
-      return decodeHtml(value["#text"]).trim();
+
+  const parsedLimit = Number.parseInt(limit ?? String(MAX_LIMIT), 10);
+  const safeLimit =
+    Number.isNaN(parsedLimit) || parsedLimit < 1 ? MAX_LIMIT : Math.min(parsedLimit, MAX_LIMIT);
+
+  try {
+    const parsed = await parseRssFeed(url, {
+      refresh: isRefreshRequested(refresh),
+      ttl: EPISODES_CACHE_SECONDS,
+    });
+    const updates = extractFeedUpdates(parsed, {
+      sinceId,
+      since: sinceTime,
+      limit: safeLimit,
+    });
+
+    const etag = `"${updates.hash}"`;
+    res.set("ETag", etag);
+
+    const ifNoneMatch = req.get("if-none-match") || "";
+    if (ifNoneMatch.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag)) {
+      res.status(304).end();
+      return;
     }
-  }
-  return "";
-};
 
-const isPrivateIp = (ip) => {
-  if (net.isIP(ip) === 4) {
-    const [a, b] = ip.split(".").map((part) => Number.parseInt(part, 10));
-    if (a === 10) return true;
-    if (a === 127) return true;
-    if (a === 0) return true;
-    if (a === 169 && b === 254) return true;
-    if (a === 172 && b >= 16 && b <= 31) return true;
-    if (a === 192 && b === 168) return true;
-    if (a === 100 && b >= 64 && b <= 127) return true;
-    return false;
-  }
-
-  if (net.isIP(ip) === 6) {
-    const normalized = ip.toLowerCase();
-    if (normalized === "::1") return true;
-    if (normalized.startsWith("fe80:")) return true;
-    if (normalized.startsWith("fc") || normalized.startsWith("fd")) return true;
-    if (normalized.startsWith("::ffff:")) {
-      const mapped = normalized.replace("::ffff:", "");
-      if (net.isIP(mapped) === 4) return isPrivateIp(mapped);
+    if (knownHash === updates.hash) {
+      res.json({ hash: updates.hash, changed: false, episodes: [] });
+      return;
     }
+
+    res.json({
+      hash: updates.hash,
+      changed: true,
+      sinceFound: updates.sinceFound,
+      total: updates.total,
+      hasMore: updates.total > updates.episodes.length,
+      episodes: updates.episodes,
+      fingerprints: updates.fingerprints,
+    });
+  } catch (error) {
+    sendError(req, res, error, "PARSE_ERROR");
   }
+});
 
-  return false;
+const toBatchEntry = (entry) => {
+  if (typeof entry === "string") {
+    return { url: entry.trim(), limit: 0 };
+  }
+  if (!entry || typeof entry !== "object") {
+    return { url: "", limit: 0 };
+  }
+  const parsedLimit = Number.parseInt(entry.limit ?? "0", 10);
+  return {
+    url: typeof entry.url === "string" ? entry.url.trim() : "",
+    limit: Number.isNaN(parsedLimit) || parsedLimit < 1 ? 0 : Math.min(parsedLimit, MAX_LIMIT),
+  };
 };
 
-const ensurePublicUrl = (parsedUrl) => {
-  if (!parsedUrl || !parsedUrl.hostname) {
-    throw new Error("无效的 RSS 地址");
-  }
+router.post("/batch", async (req, res) => {
+  const body = req.body;
+  const feeds = Array.isArray(body) ? body : body?.feeds;
+  const bypassCache = isRefreshRequested(getQueryParam(req.query?.refresh));
 
-  if (!["http:", "https:"].includes(parsedUrl.protocol)) {
-    throw new Error("仅支持 http/https RSS 地址");
-  }
+  disableCache(res);
 
-  const hostname = parsedUrl.hostname.toLowerCase();
-  if (hostname === "localhost" || hostname.endsWith(".localhost")) {
-    throw new Error("禁止访问本地地址");
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    sendError(req, res, createAppError("MISSING_URL_LIST"));
+    return;
   }
 
-  if (net.isIP(hostname)) {
-    if (isPrivateIp(hostname)) {
-      throw new Error("禁止访问内网地址");
-    }
+  if (feeds.length > MAX_BATCH_SIZE) {
+    sendError(req, res, createAppError("TOO_MANY_URLS", { params: { max: MAX_BATCH_SIZE } }));
     return;
   }
-};
 
-const resolvePublicAddress = async (hostname) => {
-  const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
-  if (!addresses || addresses.length === 0) {
-    throw new Error("DNS 解析失败");
-  }
-  const publicAddress = addresses.find((record) => !isPrivateIp(record.address));
-  if (!publicAddress) {
-    throw new Error("禁止访问内网地址");
-  }
-  return publicAddress;
-};
+  const results = await resolvePodcasts(feeds.map(toBatchEntry), { refresh: bypassCache });
 
-const createStaticLookup = (address, family) => (hostname, options, callback) => {
-  if (typeof options === "function") {
-    callback = options;
-    options = {};
+  res.json({
+    total: results.length,
+    succeeded: results.filter((result) => result.ok).length,
+    results: results.map((result) => toResultBody(req, result)),
+  });
+});
+
+router.get("/episodes/:id", async (req, res) => {
+  const url = getQueryParam(req.query?.url);
+  const refresh = getQueryParam(req.query?.refresh);
+  const episodeKey = req.params.id;
+
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
   }
 
-  const wantsAll = Boolean(options?.all);
-  if (wantsAll) {
-    callback(null, [{ address, family }]);
+  const { rewriteImage, error: imageError } = parseImageRewrite(req, url);
+  if (imageError) {
+    sendError(req, res, imageError);
     return;
   }
 
-  callback(null, address, family);
-};
+  const bypassCache = isRefreshRequested(refresh);
 
-const fetchRss = async (targetUrl, redirectCount = 0) => {
-  let parsedUrl;
   try {
-    parsedUrl = new URL(targetUrl);
-  } catch (error) {
-    throw new Error("无效的 RSS 地址");
-  }
-
-  ensurePublicUrl(parsedUrl);
-
-  const httpClient = parsedUrl.protocol === "https:" ? https : http;
-  const hostname = parsedUrl.hostname.toLowerCase();
-  let lookup;
-
-  if (!net.isIP(hostname)) {
-    const resolved = await resolvePublicAddress(hostname);
-    logDebug("lookup ok", { hostname, address: resolved.address });
-    const family = net.isIP(resolved.address);
-    lookup = createStaticLookup(resolved.address, family);
-  }
-  return new Promise((resolve, reject) => {
-    const startedAt = Date.now();
-    logDebug("fetch start", parsedUrl.href);
-    const request = httpClient.get(
-      parsedUrl,
-      {
-        headers: {
-          "User-Agent": "Express-Podcast-RSS-Parser",
-          Accept: "application/rss+xml, application/xml;q=0.9, */*;q=0.8",
-          "Accept-Encoding": "gzip, deflate, br",
-        },
-        ...(lookup ? { lookup } : {}),
-      },
-      (response) => {
-        const { statusCode, headers } = response;
-        logDebug("response", {
-          url: parsedUrl.href,
-          statusCode,
-          contentType: headers["content-type"],
-          contentEncoding: headers["content-encoding"],
-        });
-
-        if (statusCode >= 300 && statusCode < 400 && headers.location) {
-          response.resume();
-          if (redirectCount >= MAX_REDIRECTS) {
-            reject(new Error("RSS 地址重定向次数过多"));
-            return;
-          }
-          const nextUrl = headers.location.startsWith("http")
-            ? headers.location
-            : new URL(headers.location, parsedUrl).href;
-          resolve(fetchRss(nextUrl, redirectCount + 1));
-          return;
-        }
-
-        if (statusCode !== 200) {
-          response.resume();
-          reject(new Error(`获取 RSS 失败，状态码 ${statusCode}`));
-          return;
-        }
-
-        const chunks = [];
-        let totalBytes = 0;
-        response.on("data", (chunk) => {
-          totalBytes += chunk.length;
-          if (totalBytes > MAX_RSS_BYTES) {
-            response.destroy();
-            reject(new Error("RSS 内容过大"));
-            return;
-          }
-          chunks.push(chunk);
-        });
-          response.on("end", () => {
-            if (totalBytes > MAX_RSS_BYTES) return;
-            const buffer = Buffer.concat(chunks);
-            const encoding = headers["content-encoding"];
-
-          const finish = (err, decoded) => {
-            if (err) {
-              reject(new Error("解压 RSS 内容失败"));
-              return;
-            }
-            logDebug("fetch success", {
-              url: parsedUrl.href,
-              bytes: totalBytes,
-              ms: Date.now() - startedAt,
-            });
-            resolve(decoded.toString("utf8"));
-          };
-
-          if (encoding === "gzip") {
-            zlib.gunzip(buffer, finish);
-          } else if (encoding === "deflate") {
-            zlib.inflate(buffer, finish);
-          } else if (encoding === "br") {
-            zlib.brotliDecompress(buffer, finish);
-          } else {
-            resolve(buffer.toString("utf8"));
-          }
-        });
-      },
-    );
-
-    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
-      logDebug("timeout", {
-        url: parsedUrl.href,
-        ms: Date.now() - startedAt,
-      });
-      request.destroy(new Error("请求 RSS 超时"));
-    });
-
-    request.on("error", (error) => {
-      logDebug("error", {
-        url: parsedUrl.href,
-        message: error?.message,
-        ms: Date.now() - startedAt,
-      });
-      if (error?.message) {
-        reject(new Error(error.message));
-        return;
-      }
-      reject(new Error("请求 RSS 地址失败"));
+    const { parsed, match } = await loadEpisode(url, episodeKey, {
+      refresh: bypassCache,
+      ttl: EPISODES_CACHE_SECONDS,
     });
-  });
-};
-
-const parseRssFeed = async (url) => {
-  const xmlContent = await fetchRss(url);
-  return parser.parse(xmlContent);
-};
 
-const getChannelInfo = (rssData = {}) => rssData?.rss?.channel || {};
-
-const extractPodcastInfo = (rssData = {}, rssUrl) => {
-  const channel = getChannelInfo(rssData);
-
-  const name = channel?.title || "";
-  const author =
-    channel?.["itunes:author"] ||
-    channel?.author ||
-    channel?.managingEditor ||
-    "";
-
-  const image =
-    channel?.["itunes:image"]?.["@_href"] ||
-    channel?.image?.url ||
-    channel?.["itunes:image"] ||
-    "";
-
-  const website =
-    channel?.link ||
-    channel?.["itunes:link"] ||
-    (Array.isArray(channel?.link) ? channel?.link?.[0] : "");
-
-  const rawDescription =
-    channel?.["itunes:summary"] ||
-    channel?.description ||
-    channel?.["itunes:subtitle"] ||
-    "";
-  const descriptionHtml = toRichHtml(rawDescription) || "";
-  const descriptionText = toText(rawDescription) || "";
+    if (!match) {
+      disableCache(res);
+      sendError(req, res, createAppError("EPISODE_NOT_FOUND"));
+      return;
+    }
 
-  return {
-    name,
-    author,
-    rss: rssUrl,
-    image,
-    website,
-    description_html: descriptionHtml,
-    description_text: descriptionText,
-  };
-};
+    const podcast = extractPodcastInfo(parsed, url, { rewriteImage });
 
-const hasPodcastInfo = (podcast) =>
-  Boolean(
-    podcast &&
-      (podcast.name ||
-        podcast.author ||
-        podcast.image ||
-        podcast.website ||
-        podcast.description_html ||
-        podcast.description_text),
-  );
-
-const extractEpisodesPage = (rssData = {}, start = 0, limit = PER_PAGE) => {
-  const channel = getChannelInfo(rssData);
-  const items = ensureArray(channel?.item);
-
-  const fallbackAuthor =
-    channel?.["itunes:author"] ||
-    channel?.author ||
-    channel?.managingEditor ||
-    "";
-
-  const fallbackImage =
-    channel?.["itunes:image"]?.["@_href"] ||
-    channel?.image?.url ||
-    channel?.["itunes:image"] ||
-    "";
-
-  const toEnclosure = (enclosure) => {
-    if (!enclosure) return {};
-    if (Array.isArray(enclosure)) {
-      return enclosure[0] || {};
+    if (bypassCache) {
+      disableCache(res);
+    } else {
+      setCacheHeader(res, EPISODES_CACHE_SECONDS);
     }
-    return enclosure;
-  };
 
-  const pageItems = items.slice(start, start + limit);
-
-  const episodes = pageItems.map((item, index) => {
-    const enclosure = toEnclosure(item?.enclosure);
-    const rawDescription = item?.["content:encoded"] || item?.description || "";
-    const descriptionHtml = toRichHtml(rawDescription);
-    const image =
-      item?.["itunes:image"]?.["@_href"] ||
-      item?.image?.url ||
-      item?.["itunes:image"] ||
-      fallbackImage;
-
-    const author =
-      item?.["itunes:author"] ||
-      item?.author ||
-      item?.creator ||
-      fallbackAuthor;
-    const episodeLink =
-      toLink(item?.link) ||
-      toLink(item?.guid) ||
-      toLink(item?.["feedburner:origLink"]) ||
-      toLink(enclosure?.url) ||
-      "";
-    const fallbackDescriptionText = addReadableSpacing(convertHtmlToPlainText(rawDescription)).trim();
-    const descriptionWithTimestamps = buildEpisodeDescriptionHtml({
-      html: descriptionHtml,
-      fallbackText: fallbackDescriptionText,
-      escapeHtml,
+    res.json({
+      podcast,
+      position: {
+        index: match.index,
+        total: match.total,
+        previousId: match.previousId,
+        nextId: match.nextId,
+      },
+      episode: rewriteImage
+        ? { ...match.episode, image: rewriteImage(match.episode.image) }
+        : match.episode,
     });
-    const publishedAt = parseTimestamp(item?.pubDate || item?.["dc:date"] || "");
-    const title = item?.title || `Episode ${start + index + 1}`;
-    const rawGuid = item?.guid;
-    const rawId = item?.id;
-    const rawUid = item?.uid;
-    const guidValue = toLink(rawGuid) || (typeof rawGuid === "string" ? rawGuid.trim() : "");
-    const idValue = toLink(rawId) || (typeof rawId === "string" ? rawId.trim() : "");
-    const uidValue = toLink(rawUid) || (typeof rawUid === "string" ? rawUid.trim() : "");
-    const audioUrl = enclosure?.["@_url"] || enclosure?.url || "";
-    const idSource = {
-      guid: guidValue,
-      id: idValue,
-      uid: uidValue,
-      audio: audioUrl,
-      url: episodeLink,
-      link: episodeLink,
-      title,
-      publishedAt,
-    };
-    const episodePayload = {
-      title,
-      author,
-      publishedAt,
-      duration: item?.["itunes:duration"] || item?.duration || "",
-      audio: audioUrl,
-      image,
-      description_html: descriptionWithTimestamps,
-      description_text: toText(rawDescription),
-      url: episodeLink,
-      link: episodeLink,
-      guid: guidValue || idValue || uidValue || "",
-    };
-    const episodeId = buildEpisodeId(idSource);
-
-    return {
-      id: episodeId,
-      ...episodePayload,
-    };
-  });
-
-  return { total: items.length, episodes };
-};
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, error, "PARSE_ERROR");
+  }
+});
 
-router.get("/", async (req, res) => {
+router.get("/episodes/:id/chapters", async (req, res) => {
   const url = getQueryParam(req.query?.url);
   const refresh = getQueryParam(req.query?.refresh);
+  const episodeId = req.params.id;
 
   if (!url) {
-    res.status(400).json({ error: "请提供 RSS 地址(url)" });
+    sendError(req, res, createAppError("MISSING_URL"));
     return;
   }
 
   const bypassCache = isRefreshRequested(refresh);
 
   try {
-    const parsed = await parseRssFeed(url);
-    const podcast = extractPodcastInfo(parsed, url);
+    const { match } = await loadEpisode(url, episodeId, {
+      refresh: bypassCache,
+      ttl: EPISODES_CACHE_SECONDS,
+    });
 
-    if (bypassCache || !hasPodcastInfo(podcast)) {
+    if (!match) {
+      disableCache(res);
+      sendError(req, res, createAppError("EPISODE_NOT_FOUND"));
+      return;
+    }
+
+    const { source, chapters } = await resolveEpisodeChapters(match.item, {
+      refresh: bypassCache,
+      baseUrl: url,
+    });
+
+    if (bypassCache || chapters.length === 0) {
       disableCache(res);
     } else {
-      setCacheHeader(res, PODCAST_CACHE_SECONDS);
+      setCacheHeader(res, EPISODES_CACHE_SECONDS);
     }
 
-    res.json({ podcast });
+    res.json({
+      episode: {
+        id: match.episode.id,
+        title: match.episode.title,
+      },
+      source,
+      chapters,
+    });
   } catch (error) {
     disableCache(res);
-    res.status(502).json({ error: error.message || "解析 RSS 失败" });
+    sendError(req, res, error, "PARSE_ERROR");
   }
 });
 
-router.get("/episodes", async (req, res) => {
+router.get("/episodes/:id/transcript", async (req, res) => {
   const url = getQueryParam(req.query?.url);
-  const cursor = getQueryParam(req.query?.cursor);
-  const limit = getQueryParam(req.query?.limit);
   const refresh = getQueryParam(req.query?.refresh);
+  const language = getQueryParam(req.query?.language);
+  const format = String(getQueryParam(req.query?.format) || "json").trim().toLowerCase();
+  const episodeId = req.params.id;
 
   if (!url) {
-    res.status(400).json({ error: "请提供 RSS 地址(url)" });
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
+  }
+
+  if (!["json", "vtt"].includes(format)) {
+    sendError(req, res, createAppError("INVALID_TRANSCRIPT_FORMAT"));
     return;
   }
 
-  const parsedCursor = Number.parseInt(cursor ?? "0", 10);
-  const parsedLimit = Number.parseInt(limit ?? String(PER_PAGE), 10);
-  const safeCursor = Number.isNaN(parsedCursor) || parsedCursor < 0 ? 0 : parsedCursor;
-  const safeLimit =
-    Number.isNaN(parsedLimit) || parsedLimit < 1
-      ? PER_PAGE
-      : Math.min(parsedLimit, MAX_LIMIT);
   const bypassCache = isRefreshRequested(refresh);
-  const start = safeCursor;
 
   try {
-    const parsed = await parseRssFeed(url);
-    const podcast = extractPodcastInfo(parsed, url);
-    const { total, episodes } = extractEpisodesPage(parsed, start, safeLimit);
-    const hasMore = start + episodes.length < total;
-    const nextCursor = hasMore ? start + episodes.length : null;
-    const paginated = episodes;
+    const { match } = await loadEpisode(url, episodeId, {
+      refresh: bypassCache,
+      ttl: EPISODES_CACHE_SECONDS,
+    });
 
-    if (bypassCache || paginated.length === 0) {
+    if (!match) {
+      disableCache(res);
+      sendError(req, res, createAppError("EPISODE_NOT_FOUND"));
+      return;
+    }
+
+    const transcripts = match.episode.transcripts
+      .map((transcript) => ({ ...transcript, url: resolveUrl(transcript.url, url) }))
+      .filter((transcript) => transcript.url);
+    const transcript = pickTranscript(transcripts, language);
+
+    if (!transcript) {
+      disableCache(res);
+      sendError(req, res, createAppError("TRANSCRIPT_NOT_FOUND"));
+      return;
+    }
+
+    const { format: sourceFormat, cues } = await fetchTranscript(transcript, {
+      refresh: bypassCache,
+    });
+
+    if (bypassCache || cues.length === 0) {
       disableCache(res);
     } else {
       setCacheHeader(res, EPISODES_CACHE_SECONDS);
     }
 
+    if (format === "vtt") {
+      res.type("text/vtt; charset=utf-8").send(toWebVtt(cues));
+      return;
+    }
+
     res.json({
-      podcast,
-      pagination: {
-        cursor: start,
-        limit: safeLimit,
-        nextCursor,
-        hasMore,
+      episode: {
+        id: match.episode.id,
+        title: match.episode.title,
       },
-      episodes: paginated,
+      transcript: {
+        url: transcript.url,
+        type: transcript.type,
+        language: transcript.language,
+        format: sourceFormat,
+      },
+      cues,
     });
   } catch (error) {
     disableCache(res);
-    res.status(502).json({ error: error.message || "解析 RSS 失败" });
+    sendError(req, res, error, "PARSE_ERROR");
   }
 });
 
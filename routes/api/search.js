@@ -0,0 +1,90 @@
+const { Router } = require("express");
+const {
+  SEARCH_CACHE_SECONDS,
+  getDefaultProvider,
+  getDirectoryProvider,
+  searchDirectory,
+} = require("../../lib/directory");
+const { createAppError, toAppError } = require("../../lib/errors");
+const {
+  getQueryParam,
+  isRefreshRequested,
+  setCacheHeader,
+  disableCache,
+  sendError,
+} = require("./helpers");
+
+const router = Router();
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+router.get("/", async (req, res) => {
+  const q = getQueryParam(req.query?.q);
+  const providerParam = getQueryParam(req.query?.provider);
+  const limit = getQueryParam(req.query?.limit);
+  const country = getQueryParam(req.query?.country);
+  const refresh = getQueryParam(req.query?.refresh);
+
+  const term = typeof q === "string" ? q.trim() : "";
+  if (!term) {
+    disableCache(res);
+    sendError(req, res, createAppError("MISSING_QUERY"));
+    return;
+  }
+
+  const providerName = providerParam
+    ? String(providerParam).trim().toLowerCase()
+    : getDefaultProvider();
+  const provider = getDirectoryProvider(providerName);
+  if (!provider) {
+    disableCache(res);
+    sendError(req, res, createAppError("INVALID_PROVIDER"));
+    return;
+  }
+  if (!provider.isConfigured()) {
+    disableCache(res);
+    sendError(req, res, createAppError("PROVIDER_NOT_CONFIGURED"));
+    return;
+  }
+
+  const countryCode = country ? String(country).trim().toLowerCase() : "";
+  if (countryCode && !/^[a-z]{2}$/.test(countryCode)) {
+    disableCache(res);
+    sendError(req, res, createAppError("INVALID_COUNTRY"));
+    return;
+  }
+
+  const parsedLimit = Number.parseInt(limit ?? String(DEFAULT_SEARCH_LIMIT), 10);
+  const safeLimit =
+    Number.isNaN(parsedLimit) || parsedLimit < 1
+      ? DEFAULT_SEARCH_LIMIT
+      : Math.min(parsedLimit, MAX_SEARCH_LIMIT);
+  const bypassCache = isRefreshRequested(refresh);
+
+  try {
+    const results = await searchDirectory(providerName, term, {
+      limit: safeLimit,
+      country: countryCode,
+      refresh: bypassCache,
+    });
+
+    if (bypassCache || results.length === 0) {
+      disableCache(res);
+    } else {
+      setCacheHeader(res, SEARCH_CACHE_SECONDS);
+    }
+
+    res.json({
+      provider: providerName,
+      query: term,
+      total: results.length,
+      results,
+    });
+  } catch (error) {
+    disableCache(res);
+    sendError(req, res, toAppError(error, "SEARCH_FAILED", { provider: providerName }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const { Router } = require("express");
+const {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  runSubscriptionTick,
+} = require("../../lib/subscriptions");
+const { createAppError } = require("../../lib/errors");
+const { toLocaleOptions, disableCache, sendError } = require("./helpers");
+
+const router = Router();
+
+const MIN_SECRET_LENGTH = 16;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const toTrimmedString = (value) => (typeof value === "string" ? value.trim() : "");
+
+router.use((req, res, next) => {
+  disableCache(res);
+  next();
+});
+
+router.get("/", async (req, res) => {
+  try {
+    res.json({ subscriptions: await listSubscriptions(toLocaleOptions(req)) });
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.post("/", async (req, res) => {
+  const url = toTrimmedString(req.body?.url);
+  const callbackUrl = toTrimmedString(req.body?.callbackUrl);
+  const secret = toTrimmedString(req.body?.secret);
+
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
+  }
+
+  if (!callbackUrl || !isHttpUrl(callbackUrl)) {
+    sendError(req, res, createAppError("INVALID_CALLBACK_URL"));
+    return;
+  }
+
+  if (secret && secret.length < MIN_SECRET_LENGTH) {
+    sendError(req, res, createAppError("SECRET_TOO_SHORT", { params: { min: MIN_SECRET_LENGTH } }));
+    return;
+  }
+
+  try {
+    const subscription = await createSubscription({ url, callbackUrl, secret }, toLocaleOptions(req));
+    res.status(201).json(subscription);
+  } catch (error) {
+    sendError(req, res, error, "PARSE_ERROR");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id, toLocaleOptions(req));
+    if (!subscription) {
+      sendError(req, res, createAppError("SUBSCRIPTION_NOT_FOUND"));
+      return;
+    }
+    res.json(subscription);
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.post("/:id/check", async (req, res) => {
+  try {
+    if (!(await getSubscription(req.params.id))) {
+      sendError(req, res, createAppError("SUBSCRIPTION_NOT_FOUND"));
+      return;
+    }
+    if (!(await runSubscriptionTick({ subscriptionId: req.params.id }))) {
+      sendError(req, res, createAppError("SUBSCRIPTION_BUSY"));
+      return;
+    }
+    res.json(await getSubscription(req.params.id, toLocaleOptions(req)));
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!(await deleteSubscription(req.params.id))) {
+      sendError(req, res, createAppError("SUBSCRIPTION_NOT_FOUND"));
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const { Router } = require("express");
+const {
+  isWebSubConfigured,
+  listWebSubSubscriptions,
+  getWebSubSubscription,
+  subscribeFeed,
+  unsubscribeFeed,
+} = require("../../lib/websub");
+const { createAppError } = require("../../lib/errors");
+const { toLocaleOptions, disableCache, sendError } = require("./helpers");
+
+const router = Router();
+
+router.use((req, res, next) => {
+  disableCache(res);
+  next();
+});
+
+router.get("/", async (req, res) => {
+  try {
+    res.json({ subscriptions: await listWebSubSubscriptions(toLocaleOptions(req)) });
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.post("/", async (req, res) => {
+  const url = typeof req.body?.url === "string" ? req.body.url.trim() : "";
+
+  if (!isWebSubConfigured()) {
+    sendError(req, res, createAppError("WEBSUB_NOT_CONFIGURED"));
+    return;
+  }
+
+  if (!url) {
+    sendError(req, res, createAppError("MISSING_URL"));
+    return;
+  }
+
+  try {
+    const subscription = await subscribeFeed(url, toLocaleOptions(req));
+    if (!subscription) {
+      sendError(req, res, createAppError("NO_WEBSUB_HUB"));
+      return;
+    }
+    res.status(202).json(subscription);
+  } catch (error) {
+    sendError(req, res, error, "HUB_REQUEST_FAILED");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await getWebSubSubscription(req.params.id, toLocaleOptions(req));
+    if (!subscription) {
+      sendError(req, res, createAppError("SUBSCRIPTION_NOT_FOUND"));
+      return;
+    }
+    res.json(subscription);
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!(await unsubscribeFeed(req.params.id))) {
+      sendError(req, res, createAppError("SUBSCRIPTION_NOT_FOUND"));
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(req, res, error, "INTERNAL_ERROR");
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const apiRoutes = require("./api");
+const websubRoutes = require("./websub");
 
 module.exports = {
   apiRoutes,
+  websubRoutes,
 };
@@ -0,0 +1,47 @@
+const express = require("express");
+const { MAX_RSS_BYTES } = require("../lib/fetch-rss");
+const { verifyIntent, ingestPush } = require("../lib/websub");
+
+const router = express.Router();
+
+router.get("/callback/:id", async (req, res) => {
+  try {
+    const challenge = await verifyIntent(req.params.id, req.query || {});
+    if (challenge === null) {
+      res.status(404).end();
+      return;
+    }
+    res.status(200).type("text/plain").send(challenge);
+  } catch (error) {
+    res.status(500).end();
+  }
+});
+
+router.post(
+  "/callback/:id",
+  express.raw({ type: () => true, limit: MAX_RSS_BYTES }),
+  async (req, res) => {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+      const result = await ingestPush(
+        req.params.id,
+        body,
+        req.get("x-hub-signature"),
+        req.get("content-type"),
+      );
+      if (result === "gone") {
+        res.status(410).end();
+        return;
+      }
+      if (result === "invalid") {
+        res.status(400).end();
+        return;
+      }
+      res.status(202).end();
+    } catch (error) {
+      res.status(500).end();
+    }
+  },
+);
+
+module.exports = router;
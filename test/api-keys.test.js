@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-test-"));
+process.env.DATA_DIR = dataDir;
+
+const { createApiKey, recordUsage, flushUsage, getUsageReport } = require("../lib/api-keys");
+
+const usagePath = path.join(dataDir, "api-usage.json");
+
+const readUsage = () => JSON.parse(fs.readFileSync(usagePath, "utf8"));
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("merges usage deltas into counts written by other instances", async () => {
+  const key = await createApiKey({ name: "partner", scopes: ["podcast"], rateLimit: null });
+  const record = { id: key.id, name: key.name };
+
+  await recordUsage(record, { group: "podcast", statusCode: 200 });
+  await recordUsage(record, { group: "podcast", statusCode: 404 });
+  await flushUsage();
+  assert.equal(readUsage().keys[key.id].requests, 2);
+
+  const stored = readUsage();
+  stored.keys[key.id].requests += 5;
+  stored.keys[key.id].groups.podcast += 5;
+  stored.keys[key.id].firstUsedAt = "2020-01-01T00:00:00.000Z";
+  stored.keys.other = { name: "other", requests: 3, rateLimited: 0, errors: 0, groups: {} };
+  fs.writeFileSync(usagePath, JSON.stringify(stored));
+
+  await recordUsage(record, { group: "search", statusCode: 429, rateLimited: true });
+  await flushUsage();
+
+  const usage = readUsage().keys;
+  assert.equal(usage.other.requests, 3);
+  assert.equal(usage[key.id].requests, 8);
+  assert.equal(usage[key.id].errors, 1);
+  assert.equal(usage[key.id].rateLimited, 1);
+  assert.deepEqual(usage[key.id].groups, { podcast: 7, search: 1 });
+  assert.equal(usage[key.id].firstUsedAt, "2020-01-01T00:00:00.000Z");
+
+  await flushUsage();
+  assert.equal(readUsage().keys[key.id].requests, 8);
+});
+
+test("keeps usage deltas until a flush succeeds and reports stored counts", async () => {
+  const key = await createApiKey({ name: "retry", scopes: ["search"], rateLimit: null });
+  const record = { id: key.id, name: key.name };
+  await recordUsage(record, { group: "search", statusCode: 200 });
+
+  fs.renameSync(usagePath, `${usagePath}.saved`);
+  fs.mkdirSync(usagePath);
+  await assert.rejects(flushUsage());
+  fs.rmdirSync(usagePath);
+  fs.renameSync(`${usagePath}.saved`, usagePath);
+
+  await recordUsage(record, { group: "search", statusCode: 500 });
+  const report = await getUsageReport();
+  const entry = report.find((candidate) => candidate.id === key.id);
+  assert.equal(entry.requests, 2);
+  assert.equal(entry.errors, 1);
+  assert.equal(readUsage().keys[key.id].requests, 2);
+  assert.equal(report.find((candidate) => candidate.id === "other").requests, 3);
+});
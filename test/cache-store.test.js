@@ -0,0 +1,84 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCacheStore } = require("../lib/cache-store");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cache-store-test-"));
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const listEntries = (directory) =>
+  fs.readdirSync(directory).filter((name) => name.endsWith(".json"));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("memory store evicts the least recently used entry", async () => {
+  const store = createCacheStore({ type: "memory", maxEntries: 2 });
+  await store.set("a", 1, 60);
+  await store.set("b", 2, 60);
+  assert.equal(await store.get("a"), 1);
+  await store.set("c", 3, 60);
+
+  assert.equal(await store.get("a"), 1);
+  assert.equal(await store.get("b"), undefined);
+  assert.equal(await store.get("c"), 3);
+});
+
+test("file store round-trips values and drops expired entries on read", async () => {
+  const store = createCacheStore({ type: "file", directory: path.join(root, "roundtrip") });
+  await store.set("feed", { title: "Show", items: [1, 2] }, 60);
+  assert.deepEqual(await store.get("feed"), { title: "Show", items: [1, 2] });
+
+  await store.set("short", "value", 0.05);
+  await sleep(80);
+  assert.equal(await store.get("short"), undefined);
+  assert.equal(listEntries(store.directory).length, 1);
+
+  await store.delete("feed");
+  assert.equal(await store.get("feed"), undefined);
+});
+
+test("file store sweep removes expired entries and caps the entry count", async () => {
+  const directory = path.join(root, "capped");
+  const store = createCacheStore({ type: "file", directory, maxEntries: 3 });
+  await store.set("expired", "x", 0.05);
+  for (const key of ["one", "two", "three"]) {
+    await store.set(key, key, 60);
+    await sleep(20);
+  }
+  await store.get("one");
+  await store.set("four", "four", 60);
+  fs.writeFileSync(path.join(directory, "notes.txt"), "not a cache file");
+  await sleep(60);
+
+  await store.sweep();
+
+  assert.equal(listEntries(directory).length, 3);
+  assert.equal(await store.get("expired"), undefined);
+  assert.equal(await store.get("two"), undefined);
+  assert.equal(await store.get("one"), "one");
+  assert.equal(await store.get("three"), "three");
+  assert.equal(await store.get("four"), "four");
+  assert.ok(fs.existsSync(path.join(directory, "notes.txt")));
+});
+
+test("file store sweep enforces a byte limit", async () => {
+  const directory = path.join(root, "sized");
+  const store = createCacheStore({ type: "file", directory, maxEntries: 100, maxBytes: 2500 });
+  for (const key of ["a", "b", "c", "d"]) {
+    await store.set(key, "x".repeat(1000), 60);
+    await sleep(20);
+  }
+
+  await store.sweep();
+
+  const total = listEntries(directory).reduce(
+    (sum, name) => sum + fs.statSync(path.join(directory, name)).size,
+    0,
+  );
+  assert.ok(total <= 2500);
+  assert.equal(await store.get("a"), undefined);
+  assert.equal(await store.get("d"), "x".repeat(1000));
+});
@@ -0,0 +1,114 @@
+const http = require("http");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const { parseFeedDocument, resolveEpisodeChapters } = require("../lib/feed");
+
+const JSON_CHAPTERS = {
+  version: "1.2.0",
+  chapters: [
+    { startTime: 90, title: "Second", img: "second.jpg" },
+    { startTime: 0, title: "Intro", url: "https://example.com/intro" },
+  ],
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === "/chapters.json") {
+    res.writeHead(200, { "Content-Type": "application/json+chapters" });
+    res.end(JSON.stringify(JSON_CHAPTERS));
+    return;
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+const base = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+after(() => server.close());
+
+const parseItem = (itemXml) =>
+  parseFeedDocument(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:psc="http://podlove.org/simple-chapters"
+  xmlns:podcast="https://podcastindex.org/namespace/1.0">
+  <channel><title>Chapters</title><item>${itemXml}</item></channel>
+</rss>`).rss.channel.item;
+
+test("reads Podlove Simple Chapters with relative links", async () => {
+  const item = parseItem(`
+    <title>PSC</title>
+    <psc:chapters version="1.2">
+      <psc:chapter start="00:10:00.500" title="Third" />
+      <psc:chapter start="0" title="Opening" href="/notes#opening" image="art/open.jpg" />
+      <psc:chapter start="01:30" title="Second" />
+      <psc:chapter start="01:30" title="Duplicate start" />
+    </psc:chapters>`);
+
+  const result = await resolveEpisodeChapters(item, { baseUrl: "https://example.com/feed.xml" });
+
+  assert.equal(result.source, "psc");
+  assert.deepEqual(result.chapters, [
+    {
+      start: 0,
+      title: "Opening",
+      url: "https://example.com/notes#opening",
+      img: "https://example.com/art/open.jpg",
+    },
+    { start: 90, title: "Second" },
+    { start: 600.5, title: "Third" },
+  ]);
+});
+
+test("falls back to timestamps in the show notes", async () => {
+  const item = parseItem(`
+    <title>Notes</title>
+    <description><![CDATA[<p>00:00 Welcome</p><p>12:05 - Main topic</p>
+      <p>1:02:03 (Listener mail)</p><p>Recorded in 2024 at 10am</p>]]></description>`);
+
+  const result = await resolveEpisodeChapters(item);
+
+  assert.equal(result.source, "description");
+  assert.deepEqual(result.chapters, [
+    { start: 0, title: "Welcome" },
+    { start: 725, title: "Main topic" },
+    { start: 3723, title: "Listener mail" },
+  ]);
+});
+
+test("ignores a single timestamp in the show notes", async () => {
+  const item = parseItem("<title>One</title><description>Starts at 05:00 sharp</description>");
+  assert.deepEqual(await resolveEpisodeChapters(item), { source: null, chapters: [] });
+});
+
+test("prefers podcast:chapters JSON over inline chapters", async () => {
+  const url = await base;
+  const item = parseItem(`
+    <title>JSON</title>
+    <podcast:chapters url="${url}/chapters.json" type="application/json+chapters" />
+    <psc:chapters><psc:chapter start="0" title="Inline" /><psc:chapter start="5" title="Two" /></psc:chapters>`);
+
+  const result = await resolveEpisodeChapters(item);
+
+  assert.equal(result.source, "podcast:chapters");
+  assert.deepEqual(result.chapters, [
+    { start: 0, title: "Intro", url: "https://example.com/intro" },
+    { start: 90, title: "Second", img: `${url}/second.jpg` },
+  ]);
+});
+
+test("falls back to inline chapters when the JSON chapters fail", async () => {
+  const url = await base;
+  const item = parseItem(`
+    <title>Missing</title>
+    <podcast:chapters url="${url}/missing.json" type="application/json+chapters" />
+    <psc:chapters><psc:chapter start="0" title="Inline" /></psc:chapters>`);
+
+  const result = await resolveEpisodeChapters(item);
+
+  assert.equal(result.source, "psc");
+  assert.deepEqual(result.chapters, [{ start: 0, title: "Inline" }]);
+});
@@ -0,0 +1,80 @@
+const http = require("http");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const { detectCharset, decodeText } = require("../lib/charset");
+const { fetchRss } = require("../lib/fetch-rss");
+
+const GBK_TITLE = Buffer.from("d6d0cec4b2a5bfcd", "hex");
+const BIG5_TITLE = Buffer.from("a4a4a4e5", "hex");
+const SHIFT_JIS_TITLE = Buffer.from("837c83628368", "hex");
+
+const toFeed = (encoding, title) =>
+  Buffer.concat([
+    Buffer.from(
+      `${encoding ? `<?xml version="1.0" encoding="${encoding}"?>` : ""}<rss><channel><title>`,
+    ),
+    title,
+    Buffer.from("</title></channel></rss>"),
+  ]);
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://127.0.0.1");
+  const encoding = url.searchParams.get("declare") || "";
+  res.writeHead(200, { "Content-Type": url.searchParams.get("type") || "application/rss+xml" });
+  res.end(toFeed(encoding, GBK_TITLE));
+});
+
+const base = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+after(() => server.close());
+
+test("decodes GBK, Big5 and Shift_JIS from the XML declaration", () => {
+  assert.match(decodeText(toFeed("GB2312", GBK_TITLE)), /<title>中文播客<\/title>/);
+  assert.match(decodeText(toFeed("big5", BIG5_TITLE)), /<title>中文<\/title>/);
+  assert.match(decodeText(toFeed("Shift_JIS", SHIFT_JIS_TITLE)), /<title>ポッド<\/title>/);
+});
+
+test("prefers the byte order mark, then the header, then the declaration", () => {
+  const utf8 = toFeed("gbk", Buffer.from("中文"));
+  const withBom = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), utf8]);
+  assert.equal(detectCharset(withBom, "text/xml; charset=gbk"), "utf-8");
+  assert.equal(detectCharset(toFeed("utf-8", GBK_TITLE), 'text/xml; charset="GBK"'), "gbk");
+  assert.equal(detectCharset(toFeed("gbk", GBK_TITLE), "text/xml"), "gbk");
+  assert.equal(detectCharset(toFeed("", GBK_TITLE), "text/xml"), "utf-8");
+  assert.equal(detectCharset(toFeed("x-unknown", GBK_TITLE), "text/xml; charset=nope"), "utf-8");
+});
+
+test("trusts a declared charset over a UTF-8 header only when the bytes are not UTF-8", () => {
+  const header = "application/rss+xml; charset=utf-8";
+  assert.equal(detectCharset(toFeed("gbk", GBK_TITLE), header), "gbk");
+  assert.equal(detectCharset(toFeed("gbk", Buffer.from("中文")), header), "utf-8");
+});
+
+test("keeps UTF-8 when a partial chunk ends inside a multibyte character", () => {
+  const header = "application/rss+xml; charset=utf-8";
+  const complete = toFeed("gbk", Buffer.from("中文"));
+  const split = complete.subarray(0, complete.indexOf(Buffer.from("文")) + 1);
+  assert.equal(detectCharset(split, header), "utf-8");
+});
+
+test("fetches and decodes GBK feeds", async () => {
+  const origin = await base;
+  const declared = await fetchRss(`${origin}/feed.xml?declare=gbk`);
+  assert.match(declared.body, /<title>中文播客<\/title>/);
+
+  const header = await fetchRss(
+    `${origin}/feed.xml?type=${encodeURIComponent("text/xml; charset=GBK")}`,
+  );
+  assert.match(header.body, /<title>中文播客<\/title>/);
+
+  const mismatched = await fetchRss(
+    `${origin}/feed.xml?declare=gb2312&type=${encodeURIComponent("text/xml; charset=utf-8")}`,
+  );
+  assert.match(mismatched.body, /<title>中文播客<\/title>/);
+});
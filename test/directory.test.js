@@ -0,0 +1,176 @@
+const http = require("http");
+const { createHash } = require("crypto");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+process.env.PODCAST_INDEX_API_KEY = "stand-in-key";
+process.env.PODCAST_INDEX_API_SECRET = "stand-in-secret";
+
+const requests = [];
+
+const itunesResults = [
+  {
+    collectionId: 42,
+    collectionName: "Stand-in Show",
+    artistName: "Stand-in Author",
+    feedUrl: "https://example.com/feed.xml",
+    artworkUrl600: "https://example.com/art600.jpg",
+    artworkUrl100: "https://example.com/art100.jpg",
+    collectionViewUrl: "https://podcasts.example.com/42",
+    genres: ["Technology", "Podcasts"],
+    trackCount: 12,
+  },
+  { collectionId: 43, collectionName: "No feed" },
+];
+
+const podcastIndexFeeds = [
+  {
+    id: 7,
+    title: "Index Show",
+    author: "Index Author",
+    url: "https://example.com/index.xml",
+    artwork: "https://example.com/index.jpg",
+    link: "https://example.com",
+    description: "About the show",
+    podcastGuid: "9b024349-ccf0-5f69-a609-6b82873eab3c",
+    categories: { 102: "Technology" },
+    episodeCount: 3,
+  },
+];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://127.0.0.1");
+  requests.push({ url, headers: req.headers });
+  const term = url.searchParams.get("term") || url.searchParams.get("q");
+
+  if (term === "unauthorized" || term === "down") {
+    res.writeHead(term === "down" ? 503 : 401, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ status: "false", description: "Authorization failed" }));
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  if (term === "huge") {
+    res.end(JSON.stringify({ results: [], padding: "x".repeat(3 * 1024 * 1024) }));
+  } else if (term === "broken") {
+    res.end("<html>not json</html>");
+  } else if (url.pathname === "/itunes/search") {
+    res.end(JSON.stringify({ resultCount: itunesResults.length, results: itunesResults }));
+  } else if (term === "rejected") {
+    res.end(JSON.stringify({ status: "false", description: "Authorization failed" }));
+  } else {
+    res.end(JSON.stringify({ status: "true", feeds: podcastIndexFeeds }));
+  }
+});
+
+const setup = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    process.env.ITUNES_SEARCH_URL = `${base}/itunes/search`;
+    process.env.PODCAST_INDEX_API_URL = `${base}/podcastindex/`;
+    resolve(require("../lib/directory"));
+  });
+});
+
+after(() => server.close());
+
+test("searches iTunes and maps results to podcast fields", async () => {
+  const { searchDirectory } = await setup;
+  const results = await searchDirectory("itunes", "Stand-in", { limit: 5, country: "us" });
+
+  const { url } = requests.at(-1);
+  assert.equal(url.pathname, "/itunes/search");
+  assert.equal(url.searchParams.get("term"), "Stand-in");
+  assert.equal(url.searchParams.get("media"), "podcast");
+  assert.equal(url.searchParams.get("limit"), "5");
+  assert.equal(url.searchParams.get("country"), "us");
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].name, "Stand-in Show");
+  assert.equal(results[0].author, "Stand-in Author");
+  assert.equal(results[0].rss, "https://example.com/feed.xml");
+  assert.equal(results[0].image, "https://example.com/art600.jpg");
+  assert.deepEqual(results[0].directory, {
+    provider: "itunes",
+    id: 42,
+    genres: ["Technology", "Podcasts"],
+    episodeCount: 12,
+  });
+});
+
+test("signs Podcast Index requests and maps feeds", async () => {
+  const { searchDirectory } = await setup;
+  const results = await searchDirectory("podcastindex", "index", { limit: 3 });
+
+  const { url, headers } = requests.at(-1);
+  assert.equal(url.pathname, "/podcastindex/search/byterm");
+  assert.equal(url.searchParams.get("q"), "index");
+  assert.equal(url.searchParams.get("max"), "3");
+  assert.equal(headers["x-auth-key"], "stand-in-key");
+  assert.equal(
+    headers.authorization,
+    createHash("sha1")
+      .update(`stand-in-keystand-in-secret${headers["x-auth-date"]}`)
+      .digest("hex"),
+  );
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].name, "Index Show");
+  assert.equal(results[0].rss, "https://example.com/index.xml");
+  assert.deepEqual(results[0].directory, {
+    provider: "podcastindex",
+    id: 7,
+    genres: ["Technology"],
+    episodeCount: 3,
+  });
+});
+
+test("caches search results per provider and query", async () => {
+  const { searchDirectory } = await setup;
+  await searchDirectory("itunes", "cached", { limit: 5 });
+  const count = requests.length;
+  await searchDirectory("itunes", "Cached", { limit: 5 });
+  assert.equal(requests.length, count);
+
+  await searchDirectory("itunes", "cached", { limit: 5, refresh: true });
+  assert.equal(requests.length, count + 1);
+});
+
+test("reports directory failures as SEARCH_FAILED", async () => {
+  const { searchDirectory } = await setup;
+  await assert.rejects(searchDirectory("itunes", "broken", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+    params: { provider: "iTunes" },
+  });
+  await assert.rejects(searchDirectory("podcastindex", "rejected", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+    details: { reason: "Authorization failed" },
+  });
+});
+
+test("maps provider error statuses and oversized responses to SEARCH_FAILED", async () => {
+  const { searchDirectory } = await setup;
+  await assert.rejects(searchDirectory("podcastindex", "unauthorized", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+    status: 502,
+    params: { provider: "Podcast Index" },
+    details: { statusCode: 401 },
+  });
+  await assert.rejects(searchDirectory("itunes", "down", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+    params: { provider: "iTunes" },
+    details: { statusCode: 503 },
+  });
+  await assert.rejects(searchDirectory("itunes", "huge", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+    details: { reason: "TOO_LARGE" },
+  });
+
+  const count = requests.length;
+  await assert.rejects(searchDirectory("itunes", "down", { limit: 5 }), {
+    code: "SEARCH_FAILED",
+  });
+  assert.equal(requests.length, count + 1);
+});
@@ -0,0 +1,179 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseFeedDocument,
+  extractEpisodesPage,
+  getItemDuration,
+  encodeCursor,
+  decodeCursor,
+} = require("../lib/feed");
+
+const toItem = ({ guid, title, date, extra = "" }) => `
+  <item>
+    <guid>${guid}</guid>
+    <title>${title}</title>
+    ${date === undefined ? "" : `<pubDate>${new Date(date).toUTCString()}</pubDate>`}
+    <enclosure url="https://example.com/${guid}.mp3" type="audio/mpeg" length="0" />
+    ${extra}
+  </item>`;
+
+const buildFeed = (items) =>
+  parseFeedDocument(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel><title>Episodes</title>${items.map(toItem).join("")}</channel>
+</rss>`);
+
+const EPISODES = [5, 4, 3, 2, 1].map((number) => ({
+  guid: `ep-${number}`,
+  title: `Episode ${number}`,
+  date: Date.UTC(2024, 0, number),
+}));
+
+const titles = (page) => page.episodes.map((episode) => episode.title);
+
+const nextCursor = (page) => {
+  const last = page.episodes[page.episodes.length - 1];
+  return decodeCursor(encodeCursor(last, page.start + page.episodes.length));
+};
+
+test("keeps numeric cursors as plain offsets", () => {
+  assert.deepEqual(decodeCursor("2"), { id: null, publishedAt: null, offset: 2 });
+  assert.deepEqual(decodeCursor(""), { id: null, publishedAt: null, offset: 0 });
+  assert.equal(decodeCursor("not-a-cursor"), null);
+
+  const page = extractEpisodesPage(buildFeed(EPISODES), decodeCursor("2"), 2);
+  assert.deepEqual(titles(page), ["Episode 3", "Episode 2"]);
+});
+
+test("resumes after the last seen episode when a new one is published", () => {
+  const first = extractEpisodesPage(buildFeed(EPISODES), decodeCursor(), 2);
+  assert.deepEqual(titles(first), ["Episode 5", "Episode 4"]);
+  const cursor = nextCursor(first);
+
+  const published = [
+    { guid: "ep-6", title: "Episode 6", date: Date.UTC(2024, 0, 6) },
+    ...EPISODES,
+  ];
+  const second = extractEpisodesPage(buildFeed(published), cursor, 2);
+
+  assert.equal(second.start, 3);
+  assert.deepEqual(titles(second), ["Episode 3", "Episode 2"]);
+});
+
+test("falls back to the publish time when the last seen episode is gone", () => {
+  const first = extractEpisodesPage(buildFeed(EPISODES), decodeCursor(), 2);
+  const cursor = nextCursor(first);
+
+  const edited = EPISODES.filter((episode) => episode.guid !== "ep-4");
+  const second = extractEpisodesPage(buildFeed(edited), cursor, 2);
+
+  assert.deepEqual(titles(second), ["Episode 3", "Episode 2"]);
+});
+
+const FILTERED = [
+  {
+    guid: "b",
+    title: "Bonus chat",
+    date: Date.UTC(2024, 1, 10),
+    extra: "<itunes:episodeType>bonus</itunes:episodeType>",
+  },
+  {
+    guid: "t",
+    title: "Season two trailer",
+    date: Date.UTC(2024, 1, 1),
+    extra: "<itunes:season>2</itunes:season><itunes:episodeType>Trailer</itunes:episodeType>",
+  },
+  {
+    guid: "a",
+    title: "Rust basics",
+    date: Date.UTC(2024, 0, 5),
+    extra: "<itunes:season>1</itunes:season><description>On the borrow checker</description>",
+  },
+  { guid: "u", title: "Undated" },
+  {
+    guid: "c",
+    title: "Rust async",
+    date: Date.UTC(2024, 0, 20),
+    extra: "<itunes:season>1</itunes:season>",
+  },
+];
+
+test("sorts by publish time and keeps undated episodes last", () => {
+  const parsed = buildFeed(FILTERED);
+
+  assert.deepEqual(titles(extractEpisodesPage(parsed, 0, 10, { sort: "newest" })), [
+    "Bonus chat",
+    "Season two trailer",
+    "Rust async",
+    "Rust basics",
+    "Undated",
+  ]);
+  assert.deepEqual(titles(extractEpisodesPage(parsed, 0, 10, { sort: "oldest" })), [
+    "Rust basics",
+    "Rust async",
+    "Season two trailer",
+    "Bonus chat",
+    "Undated",
+  ]);
+});
+
+test("filters by date range, season, episode type and text before paging", () => {
+  const parsed = buildFeed(FILTERED);
+  const page = (filters, limit = 10) => extractEpisodesPage(parsed, 0, limit, filters);
+
+  assert.deepEqual(titles(page({ since: Date.UTC(2024, 0, 10), until: Date.UTC(2024, 1, 5) })), [
+    "Season two trailer",
+    "Rust async",
+  ]);
+  assert.deepEqual(titles(page({ season: 1 })), ["Rust basics", "Rust async"]);
+  assert.deepEqual(titles(page({ episodeTypes: ["trailer", "bonus"] })), [
+    "Bonus chat",
+    "Season two trailer",
+  ]);
+  assert.deepEqual(titles(page({ terms: ["rust", "borrow"] })), ["Rust basics"]);
+
+  const limited = page({ season: 1, sort: "oldest" }, 1);
+  assert.equal(limited.total, 2);
+  assert.deepEqual(titles(limited), ["Rust basics"]);
+  const rest = extractEpisodesPage(parsed, nextCursor(limited), 1, { season: 1, sort: "oldest" });
+  assert.deepEqual(titles(rest), ["Rust async"]);
+});
+
+test("normalizes durations to seconds and keeps the raw value", () => {
+  const durations = ["3600", "1:02:03", "62:03", "00:45.5", 95, "junk", "-30"];
+  assert.deepEqual(
+    durations.map((raw) => getItemDuration({ "itunes:duration": raw }).seconds),
+    [3600, 3723, 3723, 45.5, 95, null, null],
+  );
+
+  const parsed = buildFeed([
+    { guid: "d", title: "Timed", date: 0, extra: "<itunes:duration>1:02:03</itunes:duration>" },
+  ]);
+  const [episode] = extractEpisodesPage(parsed, 0, 1).episodes;
+  assert.equal(episode.duration, "1:02:03");
+  assert.equal(episode.durationSeconds, 3723);
+  assert.equal(episode.durationEstimated, false);
+});
+
+test("estimates a missing duration from the enclosure length and type", () => {
+  const estimate = (enclosure, raw = "") =>
+    getItemDuration({ "itunes:duration": raw, enclosure: { "@_length": "", ...enclosure } });
+
+  assert.deepEqual(estimate({ "@_length": "57600000", "@_type": "audio/mpeg" }), {
+    raw: "",
+    seconds: 3600,
+    estimated: true,
+  });
+  assert.equal(estimate({ "@_length": "43200000", "@_type": "audio/x-m4a" }).seconds, 3600);
+  assert.equal(estimate({ "@_length": "16000000", "@_type": "audio/unknown" }).seconds, 1000);
+  assert.deepEqual(estimate({ "@_length": "57600000" }, "junk"), {
+    raw: "junk",
+    seconds: 3600,
+    estimated: true,
+  });
+  assert.deepEqual(estimate({ "@_length": "0", "@_type": "audio/mpeg" }), {
+    raw: "",
+    seconds: null,
+    estimated: false,
+  });
+});
@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_LOCALE,
+  createAppError,
+  toErrorRecord,
+  resolveLocale,
+  localizeError,
+  toLastError,
+} = require("../lib/errors");
+const { sendError } = require("../routes/api/helpers");
+
+const createResponse = () => {
+  const response = { statusCode: 200, headers: {}, body: null };
+  return Object.assign(response, {
+    set(name, value) {
+      response.headers[name] = value;
+      return response;
+    },
+    status(code) {
+      response.statusCode = code;
+      return response;
+    },
+    json(body) {
+      response.body = body;
+      return response;
+    },
+  });
+};
+
+const createRequest = (acceptLanguage) => ({
+  get: (name) => (name.toLowerCase() === "accept-language" ? acceptLanguage : undefined),
+});
+
+test("resolves the locale from Accept-Language, defaulting to zh-CN", () => {
+  assert.equal(DEFAULT_LOCALE, "zh-CN");
+  assert.equal(resolveLocale(), "zh-CN");
+  assert.equal(resolveLocale("en-US,en;q=0.9"), "en");
+  assert.equal(resolveLocale("zh-TW"), "zh-CN");
+  assert.equal(resolveLocale("fr-FR, en;q=0.5, zh;q=0.8"), "zh-CN");
+  assert.equal(resolveLocale("zh;q=0, en;q=0.1"), "en");
+  assert.equal(resolveLocale("de, fr"), "zh-CN");
+});
+
+test("localizes messages with their params and keeps the code stable", () => {
+  const error = createAppError("UPSTREAM_STATUS", { params: { statusCode: 404 } });
+  assert.equal(error.code, "UPSTREAM_STATUS");
+  assert.equal(error.status, 502);
+  assert.equal(error.message, "获取 RSS 失败，状态码 404");
+  assert.equal(localizeError(error, "en"), "The upstream server responded with status 404");
+  assert.equal(localizeError(error), error.message);
+  assert.equal(localizeError(error, "ja"), error.message);
+
+  const unknown = createAppError("NOT_A_CODE");
+  assert.equal(unknown.code, "INTERNAL_ERROR");
+  assert.equal(unknown.status, 500);
+});
+
+test("localizes stored error records for lastError fields", () => {
+  const record = toErrorRecord(
+    createAppError("SEARCH_FAILED", { params: { provider: "iTunes" } }),
+  );
+  assert.deepEqual(record, { code: "SEARCH_FAILED", params: { provider: "iTunes" } });
+  assert.deepEqual(toLastError(record, "en"), {
+    lastError: "iTunes search failed",
+    lastErrorCode: "SEARCH_FAILED",
+  });
+  assert.deepEqual(toLastError(record, "zh-CN"), {
+    lastError: "iTunes 搜索失败",
+    lastErrorCode: "SEARCH_FAILED",
+  });
+  assert.deepEqual(toLastError("legacy message", "en"), {
+    lastError: "legacy message",
+    lastErrorCode: null,
+  });
+  assert.deepEqual(toLastError(null, "en"), { lastError: null, lastErrorCode: null });
+});
+
+test("sends localized error bodies with the code, details and headers", () => {
+  const error = createAppError("UPSTREAM_THROTTLED", {
+    params: { retryAfter: 30 },
+    details: { url: "https://example.com/feed.xml" },
+  });
+
+  const english = createResponse();
+  sendError(createRequest("en-GB,en;q=0.8"), english, error);
+  assert.equal(english.statusCode, 503);
+  assert.equal(english.headers["Retry-After"], "30");
+  assert.equal(english.headers["Content-Language"], "en");
+  assert.deepEqual(english.body, {
+    error: "The upstream server is rate limiting requests, retry in 30 seconds",
+    code: "UPSTREAM_THROTTLED",
+    details: { url: "https://example.com/feed.xml" },
+  });
+
+  const chinese = createResponse();
+  sendError(createRequest(undefined), chinese, createAppError("MISSING_URL"));
+  assert.equal(chinese.statusCode, 400);
+  assert.equal(chinese.headers["Content-Language"], "zh-CN");
+  assert.deepEqual(chinese.body, { error: "请提供 RSS 地址(url)", code: "MISSING_URL" });
+});
@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFeedDocument, extractPodcastInfo, extractEpisodesPage } = require("../lib/feed");
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title type="text">Atom Show</title>
+  <subtitle>Notes from the field</subtitle>
+  <link rel="self" href="https://example.com/atom.xml"/>
+  <link rel="hub" href="https://hub.example.com/"/>
+  <link href="https://example.com/"/>
+  <logo>https://example.com/logo.png</logo>
+  <author><name>First Host</name></author>
+  <author><name>Second Host</name></author>
+  <entry>
+    <title>Atom Episode</title>
+    <id>urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a</id>
+    <link rel="alternate" href="https://example.com/episodes/1"/>
+    <link rel="enclosure" href="https://example.com/1.mp3" type="audio/mpeg" length="1000"/>
+    <published>2024-03-01T10:00:00Z</published>
+    <updated>2024-03-02T10:00:00Z</updated>
+    <summary>Short summary</summary>
+  </entry>
+</feed>`;
+
+const JSON_FEED = JSON.stringify({
+  version: "https://jsonfeed.org/version/1.1",
+  title: "JSON Show",
+  home_page_url: "https://example.com/",
+  feed_url: "https://example.com/feed.json",
+  description: "A JSON Feed podcast",
+  icon: "https://example.com/icon.png",
+  authors: [{ name: "JSON Host" }],
+  hubs: [{ type: "WebSub", url: "https://hub.example.com/" }],
+  items: [
+    {
+      id: "episode-2",
+      url: "https://example.com/episodes/2",
+      title: "JSON Episode",
+      content_text: "Line one\nLine two",
+      date_published: "2024-04-01T08:00:00Z",
+      attachments: [
+        {
+          url: "https://example.com/2.m4a",
+          mime_type: "audio/x-m4a",
+          size_in_bytes: 2048,
+          duration_in_seconds: 1800,
+        },
+      ],
+    },
+  ],
+});
+
+test("normalizes Atom feeds to podcast and episode fields", () => {
+  const parsed = parseFeedDocument(ATOM);
+  const podcast = extractPodcastInfo(parsed, "https://example.com/atom.xml");
+
+  assert.equal(podcast.format, "atom");
+  assert.equal(podcast.name, "Atom Show");
+  assert.equal(podcast.author, "First Host, Second Host");
+  assert.equal(podcast.website, "https://example.com/");
+  assert.equal(podcast.image, "https://example.com/logo.png");
+  assert.equal(podcast.description_text, "Notes from the field");
+  assert.deepEqual(podcast.websub, {
+    hub: "https://hub.example.com/",
+    self: "https://example.com/atom.xml",
+  });
+
+  const { total, episodes } = extractEpisodesPage(parsed, 0, 10);
+  assert.equal(total, 1);
+  const [episode] = episodes;
+  assert.equal(episode.title, "Atom Episode");
+  assert.equal(episode.guid, "urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a");
+  assert.equal(episode.link, "https://example.com/episodes/1");
+  assert.equal(episode.audio, "https://example.com/1.mp3");
+  assert.equal(episode.author, "First Host, Second Host");
+  assert.equal(episode.publishedAt, Date.parse("2024-03-01T10:00:00Z"));
+  assert.equal(episode.description_text, "Short summary");
+});
+
+test("normalizes JSON Feed documents to podcast and episode fields", () => {
+  const parsed = parseFeedDocument(JSON_FEED);
+  const podcast = extractPodcastInfo(parsed, "https://example.com/feed.json");
+
+  assert.equal(podcast.format, "jsonfeed");
+  assert.equal(podcast.name, "JSON Show");
+  assert.equal(podcast.author, "JSON Host");
+  assert.equal(podcast.website, "https://example.com/");
+  assert.equal(podcast.image, "https://example.com/icon.png");
+  assert.equal(podcast.description_text, "A JSON Feed podcast");
+  assert.deepEqual(podcast.websub, {
+    hub: "https://hub.example.com/",
+    self: "https://example.com/feed.json",
+  });
+
+  const { episodes } = extractEpisodesPage(parsed, 0, 10);
+  const [episode] = episodes;
+  assert.equal(episode.title, "JSON Episode");
+  assert.equal(episode.guid, "episode-2");
+  assert.equal(episode.link, "https://example.com/episodes/2");
+  assert.equal(episode.audio, "https://example.com/2.m4a");
+  assert.equal(episode.durationSeconds, 1800);
+  assert.equal(episode.durationEstimated, false);
+  assert.equal(episode.publishedAt, Date.parse("2024-04-01T08:00:00Z"));
+  assert.match(episode.description_text, /Line one\s+Line two/);
+});
+
+test("rejects malformed JSON Feed documents as PARSE_ERROR", () => {
+  assert.throws(() => parseFeedDocument('{"version": "https://jsonfeed.org/version/1.1",'), {
+    code: "PARSE_ERROR",
+  });
+});
@@ -0,0 +1,206 @@
+const http = require("http");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const { createFeedReader } = require("../lib/feed-reader");
+const {
+  loadFeed,
+  loadEpisodesPage,
+  loadEpisode,
+  decodeCursor,
+  encodeCursor,
+} = require("../lib/feed");
+
+const EPISODE_COUNT = 1500;
+const NOTES = "Show notes. ".repeat(350);
+const FIRST_DATE = Date.parse("2024-01-01T00:00:00Z");
+
+const toDate = (index) => new Date(FIRST_DATE - index * 86400000);
+
+const RSS = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"><channel>',
+  "<title>Long Running</title><itunes:author>Host</itunes:author>",
+  ...Array.from(
+    { length: EPISODE_COUNT },
+    (value, index) =>
+      `<item><title>Episode ${index}</title><guid>ep-${index}</guid>` +
+      `<pubDate>${toDate(index).toUTCString()}</pubDate>` +
+      `<enclosure url="https://example.com/${index}.mp3" type="audio/mpeg"/>` +
+      `<description><![CDATA[<p>${NOTES}</p>]]></description></item>`,
+  ),
+  "<language>en</language></channel></rss>",
+].join("\n");
+
+const JSON_FEED = JSON.stringify({
+  version: "https://jsonfeed.org/version/1.1",
+  title: "Long Running JSON",
+  items: Array.from({ length: EPISODE_COUNT }, (value, index) => ({
+    id: `json-${index}`,
+    title: `Episode ${index}`,
+    content_text: NOTES,
+    date_published: toDate(index).toISOString(),
+    attachments: [{ url: `https://example.com/${index}.m4a`, mime_type: "audio/mp4" }],
+  })),
+  home_page_url: "https://example.com",
+});
+
+const SMALL = RSS.split("\n").slice(0, 6).join("\n") + "\n</channel></rss>";
+
+const routes = {
+  "/feed.xml": ["application/rss+xml", RSS],
+  "/feed.json": ["application/feed+json", JSON_FEED],
+  "/small.xml": ["application/rss+xml", SMALL],
+  "/huge-item.xml": [
+    "application/rss+xml",
+    `<rss><channel><title>Huge</title><item><title>${"x".repeat(6 * 1024 * 1024)}</title></item></channel></rss>`,
+  ],
+};
+
+const server = http.createServer((req, res) => {
+  const [type, body] = routes[req.url];
+  res.writeHead(200, { "Content-Type": type });
+  res.end(body);
+});
+
+const base = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+after(() => server.close());
+
+const titles = (page) => page.episodes.map((episode) => episode.title);
+
+const range = (from, to) =>
+  Array.from({ length: to - from }, (value, index) => `Episode ${from + index}`);
+
+const nextCursor = (page) =>
+  decodeCursor(encodeCursor(page.episodes.at(-1), page.start + page.episodes.length));
+
+test("splits items and the channel header across arbitrary chunk boundaries", () => {
+  const items = [];
+  const reader = createFeedReader({
+    maxBytes: 1024 * 1024,
+    onItem: (text, { format, index }) => items.push([format, index, text]),
+  });
+  const source = Buffer.from(SMALL);
+  for (let offset = 0; offset < source.length; offset += 7) {
+    reader.push(source.subarray(offset, offset + 7));
+  }
+  const result = reader.finish();
+
+  assert.equal(result.complete, true);
+  assert.equal(result.items, 3);
+  assert.deepEqual(
+    items.map(([format, index]) => [format, index]),
+    [
+      ["xml", 0],
+      ["xml", 1],
+      ["xml", 2],
+    ],
+  );
+  items.forEach(([, index, text]) => {
+    assert.ok(text.startsWith(`<item><title>Episode ${index}</title>`));
+    assert.ok(text.endsWith("</item>"));
+  });
+  assert.ok(result.header.includes("<title>Long Running</title>"));
+  assert.ok(!result.header.includes("<item>"));
+  assert.equal(result.header.slice(result.itemOffset).trim(), "</channel></rss>");
+});
+
+test("keeps the channel header and the first 5 MB of episodes in the cache window", async () => {
+  const origin = await base;
+  assert.ok(Buffer.byteLength(RSS) > 6 * 1024 * 1024);
+
+  const { parsed, truncated } = await loadFeed(`${origin}/feed.xml`);
+  const items = parsed.rss.channel.item;
+  assert.equal(truncated, true);
+  assert.equal(parsed.rss.channel.title, "Long Running");
+  assert.equal(parsed.rss.channel.language, "en");
+  assert.ok(items.length > 100 && items.length < EPISODE_COUNT);
+  assert.equal(items.at(-1).title, `Episode ${items.length - 1}`);
+
+  const small = await loadFeed(`${origin}/small.xml`);
+  assert.equal(small.truncated, false);
+  assert.equal(small.parsed.rss.channel.item.length, 3);
+});
+
+test("pages past the cache window with offset and episode cursors", async () => {
+  const url = `${(await base)}/feed.xml`;
+
+  const first = await loadEpisodesPage(url, decodeCursor(), 3);
+  assert.deepEqual(titles(first), range(0, 3));
+  assert.equal(first.hasMore, true);
+  assert.equal(first.truncated, true);
+
+  const deep = await loadEpisodesPage(url, decodeCursor("1400"), 5);
+  assert.deepEqual(titles(deep), range(1400, 1405));
+  assert.equal(deep.start, 1400);
+  assert.equal(deep.hasMore, true);
+  assert.equal(deep.episodes[0].description_text, NOTES.trim());
+
+  const following = await loadEpisodesPage(url, nextCursor(deep), 5);
+  assert.deepEqual(titles(following), range(1405, 1410));
+
+  const last = await loadEpisodesPage(url, decodeCursor("1497"), 10);
+  assert.deepEqual(titles(last), range(1497, 1500));
+  assert.equal(last.hasMore, false);
+  assert.equal(last.total, EPISODE_COUNT);
+});
+
+test("sorts and filters the whole feed, not only the cache window", async () => {
+  const url = `${(await base)}/feed.xml`;
+
+  const oldest = await loadEpisodesPage(url, decodeCursor(), 2, { sort: "oldest" });
+  assert.deepEqual(titles(oldest), ["Episode 1499", "Episode 1498"]);
+  assert.equal(oldest.total, EPISODE_COUNT);
+
+  const next = await loadEpisodesPage(url, nextCursor(oldest), 2, { sort: "oldest" });
+  assert.deepEqual(titles(next), ["Episode 1497", "Episode 1496"]);
+
+  const until = toDate(1450).getTime();
+  const filtered = await loadEpisodesPage(url, decodeCursor(), 2, { until });
+  assert.deepEqual(titles(filtered), range(1450, 1452));
+});
+
+test("pages a JSON Feed larger than 5 MB", async () => {
+  const origin = await base;
+  assert.ok(Buffer.byteLength(JSON_FEED) > 5 * 1024 * 1024);
+
+  const { parsed, truncated } = await loadFeed(`${origin}/feed.json`);
+  assert.equal(truncated, true);
+  assert.equal(parsed.title, "Long Running JSON");
+  assert.equal(parsed.home_page_url, "https://example.com");
+
+  const page = await loadEpisodesPage(`${origin}/feed.json`, decodeCursor("1498"), 5);
+  assert.deepEqual(titles(page), range(1498, 1500));
+  assert.equal(page.episodes[0].audio, "https://example.com/1498.m4a");
+  assert.equal(page.hasMore, false);
+});
+
+test("finds an episode past the cache window with its neighbours", async () => {
+  const url = `${(await base)}/feed.xml`;
+  const page = await loadEpisodesPage(url, decodeCursor("1449"), 3);
+  const [before, target, after] = page.episodes;
+
+  const { match } = await loadEpisode(url, "ep-1450");
+  assert.equal(match.index, 1450);
+  assert.equal(match.episode.id, target.id);
+  assert.equal(match.previousId, before.id);
+  assert.equal(match.nextId, after.id);
+
+  const lastMatch = (await loadEpisode(url, page.episodes[0].id)).match;
+  assert.equal(lastMatch.episode.title, "Episode 1449");
+
+  assert.equal((await loadEpisode(url, "missing")).match, null);
+});
+
+test("rejects a single episode larger than the size limit", async () => {
+  await assert.rejects(loadFeed(`${(await base)}/huge-item.xml`), {
+    code: "TOO_LARGE",
+    status: 413,
+  });
+});
@@ -0,0 +1,170 @@
+const http = require("http");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const { validateFeed } = require("../lib/feed-validator");
+
+const CLEAN = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Clean</title>
+    <itunes:image href="https://example.com/art.jpg"/>
+    <item>
+      <title>Zero length</title>
+      <guid>clean-1</guid>
+      <pubDate>Fri, 01 Mar 2024 10:00:00 GMT</pubDate>
+      <itunes:duration>0</itunes:duration>
+      <enclosure url="https://example.com/1.mp3" type="audio/mpeg" length="100"/>
+    </item>
+  </channel>
+</rss>`;
+
+const BROKEN = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Broken</title>
+    <image><url>http://example.com/art.jpg</url></image>
+    <item>
+      <title>First</title>
+      <guid>dup</guid>
+      <pubDate>yesterday-ish</pubDate>
+      <itunes:duration>about an hour</itunes:duration>
+      <enclosure url="/media/1.mp3" type="audio/mpeg" length="1000000"/>
+    </item>
+    <item>
+      <title>Second</title>
+      <guid>dup</guid>
+    </item>
+    <item>
+      <title>Third</title>
+      <pubDate>Fri, 01 Mar 2024 10:00:00 GMT</pubDate>
+      <enclosure url="https://example.com/3.mp3" type="audio/mpeg"/>
+    </item>
+  </channel>
+</rss>`;
+
+const LARGE = CLEAN.replace(
+  /<item>[\s\S]*<\/item>/,
+  Array.from(
+    { length: 1400 },
+    (value, index) =>
+      `<item><title>Episode ${index}</title><guid>large-${index}</guid>` +
+      "<pubDate>Fri, 01 Mar 2024 10:00:00 GMT</pubDate>" +
+      `<enclosure url="https://example.com/${index}.mp3" type="audio/mpeg"/>` +
+      `<description>${"notes ".repeat(700)}</description></item>`,
+  ).join("\n"),
+);
+
+const routes = {
+  "/clean.xml": () => [200, { "Content-Type": "application/rss+xml" }, CLEAN],
+  "/broken.xml": () => [200, { "Content-Type": "application/rss+xml" }, BROKEN],
+  "/moved": () => [301, { Location: "/moved-again" }, ""],
+  "/moved-again": () => [302, { Location: "/clean.xml" }, ""],
+  "/malformed.xml": () => [200, {}, CLEAN.replace("</channel>", "")],
+  "/large.xml": () => [200, { "Content-Type": "application/rss+xml" }, LARGE],
+  "/error": () => [500, {}, "oops"],
+};
+
+const server = http.createServer((req, res) => {
+  const [status, headers, body] = (routes[req.url] || (() => [404, {}, ""]))();
+  res.writeHead(status, headers);
+  res.end(body);
+});
+
+const base = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+after(() => server.close());
+
+const toCodes = (report) =>
+  report.findings.map((finding) => [finding.code, finding.item?.index ?? null]);
+
+test("reports no errors for a clean feed, including a zero duration", async () => {
+  const report = await validateFeed(`${await base}/clean.xml`, { locale: "en" });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.format, "rss");
+  assert.equal(report.episodes, 1);
+  assert.deepEqual(report.findings, []);
+  assert.deepEqual(report.summary, { error: 0, warning: 0, info: 0 });
+});
+
+test("reports item findings with severities, items and details", async () => {
+  const url = `${await base}/broken.xml`;
+  const report = await validateFeed(url, { locale: "en" });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.summary, { error: 2, warning: 6, info: 0 });
+  assert.deepEqual(toCodes(report), [
+    ["MISSING_ENCLOSURE", 1],
+    ["DUPLICATE_GUID", 1],
+    ["INSECURE_ARTWORK", null],
+    ["INSECURE_AUDIO", 0],
+    ["INVALID_PUBDATE", 0],
+    ["INVALID_DURATION", 0],
+    ["MISSING_PUBDATE", 1],
+    ["MISSING_GUID", 2],
+  ]);
+
+  const find = (code) => report.findings.find((finding) => finding.code === code);
+  assert.equal(find("INSECURE_AUDIO").details.url, `${await base}/media/1.mp3`);
+  assert.deepEqual(find("DUPLICATE_GUID").details, { guid: "dup", firstIndex: 0 });
+  assert.deepEqual(find("DUPLICATE_GUID").item, {
+    index: 1,
+    id: find("DUPLICATE_GUID").item.id,
+    guid: "dup",
+    title: "Second",
+  });
+  assert.equal(find("INVALID_DURATION").details.value, "about an hour");
+  assert.equal(find("MISSING_GUID").message, "The episode has no guid");
+});
+
+test("reports redirect chains and malformed XML", async () => {
+  const origin = await base;
+  const redirected = await validateFeed(`${origin}/moved`, { locale: "en" });
+  const chain = redirected.findings.find((finding) => finding.code === "REDIRECT_CHAIN");
+  assert.equal(chain.severity, "warning");
+  assert.equal(chain.message, "The feed URL redirects 2 time(s); update it to the final URL");
+  assert.equal(redirected.finalUrl, `${origin}/clean.xml`);
+
+  const malformed = await validateFeed(`${origin}/malformed.xml`, { locale: "zh-CN" });
+  const finding = malformed.findings.find((entry) => entry.code === "MALFORMED_XML");
+  assert.equal(finding.message, "RSS 不是格式良好的 XML，部分应用可能无法解析");
+  assert.ok(finding.details.line > 0);
+});
+
+test("checks every episode of a feed larger than the cache window", async () => {
+  const report = await validateFeed(`${await base}/large.xml`, { locale: "en" });
+
+  assert.ok(report.bytes > 5 * 1024 * 1024);
+  assert.equal(report.episodes, 1400);
+  assert.equal(report.valid, true);
+  assert.equal(report.findings.length, 1);
+  const [finding] = report.findings;
+  assert.equal(finding.code, "FEED_OVER_CACHE_LIMIT");
+  assert.ok(finding.details.items > 0 && finding.details.items < 1400);
+  assert.match(finding.message, /^The feed exceeds 5 MB; only the first \d+ episodes are cached/);
+});
+
+test("reports upstream failures as FETCH_FAILED findings", async () => {
+  const report = await validateFeed(`${await base}/error`, { locale: "en" });
+
+  assert.equal(report.valid, false);
+  assert.equal(report.finalUrl, null);
+  assert.equal(report.findings.length, 1);
+  assert.equal(report.findings[0].code, "FETCH_FAILED");
+  assert.equal(report.findings[0].details.code, "UPSTREAM_STATUS");
+  assert.equal(report.findings[0].message, "The upstream server responded with status 500");
+});
+
+test("throws typed request errors for invalid and blocked URLs", async () => {
+  await assert.rejects(validateFeed("not a url"), { code: "INVALID_URL", status: 400 });
+  await assert.rejects(validateFeed("ftp://example.com/feed.xml"), {
+    code: "UNSUPPORTED_PROTOCOL",
+  });
+  await assert.rejects(validateFeed("http://10.0.0.1/feed.xml"), { code: "PRIVATE_ADDRESS" });
+});
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const sharp = require("sharp");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "image-proxy-test-"));
+process.env.IMAGE_CACHE_DIR = cacheDir;
+process.env.IMAGE_PROXY_SECRET = "stand-in-secret";
+process.env.PUBLIC_BASE_URL = "https://api.example.com/";
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const {
+  parseImageOptions,
+  hasValidImageSignature,
+  createImageRewriter,
+  getProxiedImage,
+} = require("../lib/image-proxy");
+
+const requests = [];
+
+const artwork = sharp({
+  create: { width: 400, height: 200, channels: 3, background: { r: 200, g: 40, b: 40 } },
+})
+  .png()
+  .toBuffer();
+
+const server = http.createServer(async (req, res) => {
+  requests.push(req.url);
+  if (req.url === "/not-an-image.png") {
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.end("<html>not an image</html>");
+    return;
+  }
+  res.writeHead(200, { "Content-Type": "image/png" });
+  res.end(await artwork);
+});
+
+const base = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+const toQuery = (rewritten) => {
+  const url = new URL(rewritten);
+  return {
+    url,
+    src: url.searchParams.get("src"),
+    width: url.searchParams.get("w"),
+    format: url.searchParams.get("format"),
+    sig: url.searchParams.get("sig"),
+  };
+};
+
+test("rewrites artwork to signed proxy URLs", () => {
+  const rewrite = createImageRewriter({ feedUrl: "https://example.com/shows/feed.xml" });
+  const query = toQuery(rewrite("cover.jpg"));
+
+  assert.equal(query.url.origin + query.url.pathname, "https://api.example.com/api/image");
+  assert.equal(query.src, "https://example.com/shows/cover.jpg");
+  assert.equal(query.width, "600");
+  assert.equal(query.format, "webp");
+  assert.equal(hasValidImageSignature(query), true);
+
+  assert.equal(rewrite("data:image/png;base64,AAAA"), "data:image/png;base64,AAAA");
+  assert.equal(rewrite(""), "");
+
+  const rewriteOriginal = createImageRewriter({ width: 0, format: "png" });
+  const original = toQuery(rewriteOriginal("https://example.com/a.png"));
+  assert.equal(original.width, null);
+  assert.equal(hasValidImageSignature(original), true);
+});
+
+test("rejects tampered or missing image signatures", () => {
+  const query = toQuery(createImageRewriter()("https://example.com/a.png"));
+
+  assert.equal(hasValidImageSignature({ ...query, width: "2048" }), false);
+  assert.equal(hasValidImageSignature({ ...query, format: "png" }), false);
+  assert.equal(hasValidImageSignature({ ...query, src: "https://example.com/b.png" }), false);
+  assert.equal(hasValidImageSignature({ ...query, sig: query.sig.slice(1) }), false);
+  assert.equal(hasValidImageSignature({ ...query, sig: undefined }), false);
+  assert.equal(hasValidImageSignature(), false);
+});
+
+test("validates the requested width and format", () => {
+  assert.deepEqual(parseImageOptions({ width: "300", format: "JPG" }).options, {
+    width: 300,
+    format: "jpeg",
+  });
+  assert.deepEqual(parseImageOptions().options, { width: 0, format: "webp" });
+  assert.equal(parseImageOptions({ width: "8" }).error.code, "INVALID_IMAGE_WIDTH");
+  assert.equal(parseImageOptions({ width: "300px" }).error.code, "INVALID_IMAGE_WIDTH");
+  assert.equal(parseImageOptions({ format: "gif" }).error.code, "INVALID_IMAGE_FORMAT");
+});
+
+test("resizes and re-encodes artwork without enlarging it", async () => {
+  const src = `${await base}/cover.png`;
+
+  const resized = await getProxiedImage(src, { width: 100, format: "webp" });
+  assert.equal(resized.contentType, "image/webp");
+  assert.equal(resized.cached, false);
+  const metadata = await sharp(resized.body).metadata();
+  assert.equal(metadata.format, "webp");
+  assert.equal(metadata.width, 100);
+  assert.equal(metadata.height, 50);
+
+  const large = await getProxiedImage(src, { width: 800, format: "jpeg" });
+  const largeMetadata = await sharp(large.body).metadata();
+  assert.equal(large.contentType, "image/jpeg");
+  assert.equal(largeMetadata.format, "jpeg");
+  assert.equal(largeMetadata.width, 400);
+});
+
+test("serves repeated variants from the size-capped disk cache", async () => {
+  const src = `${await base}/cached.png`;
+  const first = await getProxiedImage(src, { width: 64, format: "png" });
+  const count = requests.length;
+
+  const second = await getProxiedImage(src, { width: 64, format: "png" });
+  assert.equal(second.cached, true);
+  assert.equal(requests.length, count);
+  assert.deepEqual(second.body, first.body);
+  assert.ok(fs.readdirSync(cacheDir).some((name) => /^[0-9a-f]{64}\.json$/.test(name)));
+});
+
+test("rejects upstream bodies that are not images", async () => {
+  await assert.rejects(getProxiedImage(`${await base}/not-an-image.png`, { width: 100 }), {
+    code: "INVALID_IMAGE",
+  });
+});
@@ -0,0 +1,179 @@
+const http = require("http");
+const dns = require("dns").promises;
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "feeds.test";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const records = {
+  "feeds.test": ["127.0.0.1"],
+  "public.test": ["93.184.216.34"],
+  "private.test": ["192.168.1.20"],
+  "mixed.test": ["93.184.216.34", "10.0.0.5"],
+  "mixed6.test": ["2606:4700::1111", "64:ff9b::a00:5"],
+};
+
+dns.lookup = async (hostname) => {
+  const addresses = records[hostname];
+  if (!addresses) {
+    throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" });
+  }
+  return addresses.map((address) => ({ address, family: address.includes(":") ? 6 : 4 }));
+};
+
+const { isBlockedAddress, checkUrl, resolveAllowedAddress } = require("../lib/network-policy");
+const { fetchRss } = require("../lib/fetch-rss");
+
+const FEED = '<?xml version="1.0"?><rss version="2.0"><channel><title>Stand-in</title></channel></rss>';
+
+let port;
+const redirects = {
+  "/to-private-ip": () => "http://10.0.0.1/feed.xml",
+  "/to-loopback": () => `http://127.0.0.1:${port}/feed.xml`,
+  "/to-localhost": () => `http://localhost:${port}/feed.xml`,
+  "/to-private-host": () => `http://private.test:${port}/feed.xml`,
+  "/to-mixed-host": () => `http://mixed.test:${port}/feed.xml`,
+  "/to-metadata": () => "http://[::ffff:169.254.169.254]/latest/meta-data",
+  "/to-allowed": () => `http://feeds.test:${port}/feed.xml`,
+};
+
+const server = http.createServer((req, res) => {
+  const redirect = redirects[req.url];
+  if (redirect) {
+    res.writeHead(302, { Location: redirect() });
+    res.end();
+    return;
+  }
+  res.writeHead(200, { "Content-Type": "application/rss+xml" });
+  res.end(FEED);
+});
+
+const ready = new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => {
+    port = server.address().port;
+    resolve();
+  });
+});
+
+after(() => server.close());
+
+test("blocks private, local and reserved IPv4 ranges", () => {
+  for (const address of [
+    "0.0.0.0",
+    "10.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.0.0.8",
+    "192.0.2.1",
+    "192.168.1.1",
+    "198.18.0.1",
+    "198.51.100.7",
+    "203.0.113.9",
+    "224.0.0.1",
+    "255.255.255.255",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "93.184.216.34", "172.32.0.1", "100.128.0.1"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("blocks private and reserved IPv6 ranges, including embedded IPv4", () => {
+  for (const address of [
+    "::",
+    "::1",
+    "::ffff:127.0.0.1",
+    "::ffff:10.0.0.1",
+    "fc00::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "ff02::1",
+    "2001:db8::1",
+    "[::1]",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["2606:4700::1111", "2a00:1450:4001::1", "::ffff:8.8.8.8"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("blocks NAT64, 6to4 and Teredo prefixes", () => {
+  for (const address of [
+    "64:ff9b::7f00:1",
+    "64:ff9b::a9fe:a9fe",
+    "64:ff9b:1::1",
+    "2002:7f00:1::",
+    "2002:c0a8:101::1",
+    "2001::1",
+    "2001:0:4136:e378:8000:63bf:3fff:fdd2",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("rejects IP literal and localhost URLs before any lookup", () => {
+  for (const url of [
+    "http://127.0.0.1/feed.xml",
+    "http://[::1]/feed.xml",
+    "http://[64:ff9b::a00:1]/feed.xml",
+    "http://localhost/feed.xml",
+    "http://api.localhost/feed.xml",
+  ]) {
+    assert.throws(() => checkUrl(new URL(url)), { code: "PRIVATE_ADDRESS" }, url);
+  }
+  assert.throws(() => checkUrl(new URL("ftp://feeds.test/feed.xml")), {
+    code: "UNSUPPORTED_PROTOCOL",
+  });
+  assert.equal(checkUrl(new URL("http://feeds.test/feed.xml")), "feeds.test");
+});
+
+test("rejects a hostname when any of its DNS records is private", async () => {
+  assert.equal((await resolveAllowedAddress("public.test")).address, "93.184.216.34");
+
+  for (const hostname of ["private.test", "mixed.test", "mixed6.test"]) {
+    await assert.rejects(resolveAllowedAddress(hostname), (error) => {
+      assert.equal(error.code, "PRIVATE_ADDRESS");
+      assert.deepEqual(error.details, { hostname });
+      return true;
+    });
+  }
+  await assert.rejects(resolveAllowedAddress("missing.test"), { code: "DNS_FAILED" });
+});
+
+test("allows private addresses for hosts listed in NETWORK_ALLOW_HOSTS", async () => {
+  await ready;
+  const result = await fetchRss(`http://feeds.test:${port}/feed.xml`);
+  assert.equal(result.body, FEED);
+
+  const redirected = await fetchRss(`http://feeds.test:${port}/to-allowed`);
+  assert.equal(redirected.url, `http://feeds.test:${port}/feed.xml`);
+});
+
+test("rejects redirects into private address space", async () => {
+  await ready;
+  const cases = [
+    ["/to-private-ip", "10.0.0.1"],
+    ["/to-loopback", "127.0.0.1"],
+    ["/to-localhost", "localhost"],
+    ["/to-private-host", "private.test"],
+    ["/to-mixed-host", "mixed.test"],
+    ["/to-metadata", "::ffff:a9fe:a9fe"],
+  ];
+  for (const [path, hostname] of cases) {
+    await assert.rejects(
+      fetchRss(`http://feeds.test:${port}${path}`),
+      (error) => {
+        assert.equal(error.code, "PRIVATE_ADDRESS", path);
+        assert.deepEqual(error.details, { hostname }, path);
+        return true;
+      },
+      path,
+    );
+  }
+});
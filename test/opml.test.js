@@ -0,0 +1,109 @@
+const http = require("http");
+const express = require("express");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const { parseOpml, buildOpml } = require("../lib/opml");
+const opmlRouter = require("../routes/api/opml");
+
+const FEED = `<?xml version="1.0"?>
+<rss version="2.0">
+  <channel>
+    <title type="text">Tom &amp; Jerry&apos;s &lt;Show&gt;</title>
+    <link>https://example.com/show?a=1&amp;b=2</link>
+    <link>https://example.com/alternate</link>
+    <description>Cartoons</description>
+  </channel>
+</rss>`;
+
+const feedServer = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "application/rss+xml" });
+  res.end(FEED);
+});
+
+const app = express();
+app.use(express.json());
+app.use("/opml", opmlRouter);
+const apiServer = http.createServer(app);
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+
+const ready = Promise.all([listen(feedServer), listen(apiServer)]);
+
+after(() => {
+  feedServer.close();
+  apiServer.close();
+});
+
+test("round-trips titles and URLs with entities through OPML", () => {
+  const feeds = [
+    {
+      url: "https://example.com/feed.xml?a=1&b=2",
+      title: `Q&A "Live" <Edition> & 'more' &amp;`,
+      htmlUrl: "https://example.com/?x=<y>",
+    },
+    { url: "https://example.com/plain.xml", title: "", htmlUrl: "" },
+  ];
+
+  const xml = buildOpml({ title: "Mine & Yours", feeds });
+  assert.match(xml, /xmlUrl="https:\/\/example\.com\/feed\.xml\?a=1&amp;b=2"/);
+  assert.doesNotMatch(xml, /&amp;amp;amp;/);
+
+  const parsed = parseOpml(xml);
+  assert.equal(parsed.title, "Mine & Yours");
+  assert.deepEqual(
+    parsed.feeds.map(({ url, title, htmlUrl }) => ({ url, title, htmlUrl })),
+    [feeds[0], { url: feeds[1].url, title: feeds[1].url, htmlUrl: "" }],
+  );
+});
+
+test("decodes entities in imported outlines exactly once and keeps categories", () => {
+  const { title, feeds } = parseOpml(`<?xml version="1.0"?>
+<opml version="1.0">
+  <head><title>News &amp;amp; Talk</title></head>
+  <body>
+    <outline text="Tech &amp; Science">
+      <outline type="rss" text="AT&amp;T &#8220;Talks&#8221;" xmlUrl="https://example.com/a?x=1&amp;y=2" />
+      <outline type="rss" TEXT="Duplicate" XMLURL="https://example.com/a?x=1&amp;y=2" />
+    </outline>
+  </body>
+</opml>`);
+
+  assert.equal(title, "News &amp; Talk");
+  assert.deepEqual(feeds, [
+    {
+      url: "https://example.com/a?x=1&y=2",
+      title: "AT&T “Talks”",
+      htmlUrl: "",
+      category: "Tech & Science",
+    },
+  ]);
+});
+
+test("rejects documents that are not OPML", () => {
+  assert.throws(() => parseOpml("<rss><channel /></rss>"), { code: "INVALID_OPML" });
+});
+
+test("exports resolved feed titles and links as plain text", async () => {
+  const [feedBase, apiBase] = await ready;
+  const feedUrl = `${feedBase}/feed.xml`;
+
+  const response = await fetch(`${apiBase}/opml/export`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ feeds: [feedUrl] }),
+  });
+  assert.equal(response.status, 200);
+  const xml = await response.text();
+
+  const [feed] = parseOpml(xml).feeds;
+  assert.equal(feed.url, feedUrl);
+  assert.equal(feed.title, "Tom & Jerry's <Show>");
+  assert.equal(feed.htmlUrl, "https://example.com/show?a=1&b=2");
+});
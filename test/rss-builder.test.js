@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { XMLValidator } = require("fast-xml-parser");
+const {
+  parseFeedDocument,
+  extractFeedDocument,
+  extractPodcastInfo,
+  extractEpisodesPage,
+} = require("../lib/feed");
+const { buildRssFeed } = require("../lib/rss-builder");
+
+const FEED_URL = "https://example.com/shows/feed.xml";
+
+const SOURCE = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Tom &amp;amp; Jerry</title>
+    <link>/shows/</link>
+    <language>en-us</language>
+    <itunes:author>Hosts &amp;amp; Co</itunes:author>
+    <itunes:explicit>yes</itunes:explicit>
+    <itunes:image href="art/cover.jpg"/>
+    <description><![CDATA[<p>About <script>alert(1)</script>the show</p>]]></description>
+    <item>
+      <title>Episode &amp;amp; more</title>
+      <guid>ep-1</guid>
+      <pubDate>2024-03-01T10:00:00Z</pubDate>
+      <link>/shows/1</link>
+      <itunes:duration>62:03</itunes:duration>
+      <itunes:image href="../ep1.png"/>
+      <description><![CDATA[<p onclick="x()">Notes ]]&gt; <b>bold</b></p>]]></description>
+      <enclosure url="media/1.m4a" length="1234"/>
+    </item>
+    <item>
+      <title>No date</title>
+      <pubDate>not a date</pubDate>
+      <enclosure url="https://cdn.example.com/2.mp3" type="audio/mpeg" length="oops"/>
+    </item>
+  </channel>
+</rss>`;
+
+const build = (options) =>
+  buildRssFeed(extractFeedDocument(parseFeedDocument(SOURCE), FEED_URL), options);
+
+test("writes a well-formed RSS 2.0 document with iTunes tags", () => {
+  const xml = build({ selfUrl: "https://rss.example.com/feed.xml?url=x&limit=2" });
+
+  assert.equal(XMLValidator.validate(xml), true);
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<rss version="2\.0"/);
+  assert.match(xml, /<atom:link href="https:\/\/rss\.example\.com\/feed\.xml\?url=x&amp;limit=2"/);
+  assert.match(xml, /<itunes:image href="https:\/\/example\.com\/shows\/art\/cover\.jpg"\/>/);
+  assert.match(xml, /<itunes:explicit>true<\/itunes:explicit>/);
+  assert.match(xml, /<language>en-us<\/language>/);
+  assert.doesNotMatch(xml, /<script|onclick/);
+});
+
+test("normalizes episode dates, URLs, durations and enclosures", () => {
+  const xml = build();
+
+  assert.match(xml, /<pubDate>Fri, 01 Mar 2024 10:00:00 GMT<\/pubDate>/);
+  assert.doesNotMatch(xml, /not a date/);
+  assert.match(xml, /<link>https:\/\/example\.com\/shows\/1<\/link>/);
+  assert.match(xml, /<itunes:image href="https:\/\/example\.com\/ep1\.png"\/>/);
+  assert.match(xml, /<itunes:duration>01:02:03<\/itunes:duration>/);
+  assert.match(
+    xml,
+    /<enclosure url="https:\/\/example\.com\/shows\/media\/1\.m4a" length="1234" type="audio\/x-m4a"\/>/,
+  );
+  assert.match(
+    xml,
+    /<enclosure url="https:\/\/cdn\.example\.com\/2\.mp3" length="0" type="audio\/mpeg"\/>/,
+  );
+  assert.match(xml, /<description><!\[CDATA\[<p>Notes ]]&gt; <b>bold<\/b><\/p>]]><\/description>/);
+});
+
+test("reads back with the same podcast and episode fields", () => {
+  const parsed = parseFeedDocument(build());
+  const podcast = extractPodcastInfo(parsed, FEED_URL);
+
+  assert.equal(podcast.name, "Tom & Jerry");
+  assert.equal(podcast.author, "Hosts & Co");
+  assert.equal(podcast.website, "https://example.com/shows/");
+  assert.equal(podcast.image, "https://example.com/shows/art/cover.jpg");
+  assert.equal(podcast.description_text, "About the show");
+
+  const { episodes } = extractEpisodesPage(parsed, 0, 10);
+  assert.deepEqual(
+    episodes.map(({ title, guid, publishedAt, durationSeconds }) => ({
+      title,
+      guid,
+      publishedAt,
+      durationSeconds,
+    })),
+    [
+      {
+        title: "Episode & more",
+        guid: "ep-1",
+        publishedAt: Date.parse("2024-03-01T10:00:00Z"),
+        durationSeconds: 3723,
+      },
+      { title: "No date", guid: episodes[1].guid, publishedAt: null, durationSeconds: null },
+    ],
+  );
+});
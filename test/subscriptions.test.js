@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { createHmac } = require("crypto");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "subscriptions-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const subscriptions = require("../lib/subscriptions");
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+
+const toFeed = (titles) =>
+  [
+    '<?xml version="1.0"?><rss version="2.0"><channel><title>Stand-in</title>',
+    ...titles.map(
+      (title) =>
+        `<item><title>${title}</title><guid>${title}</guid>` +
+        `<enclosure url="https://example.com/${title}.mp3" type="audio/mpeg"/></item>`,
+    ),
+    "</channel></rss>",
+  ].join("");
+
+let episodes = ["one"];
+let receiverStatus = 200;
+const received = [];
+let feed;
+let receiver;
+
+const setup = (async () => {
+  feed = await listen((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/rss+xml" });
+    res.end(toFeed(episodes));
+  });
+  receiver = await listen((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(receiverStatus);
+      res.end();
+    });
+  });
+})();
+
+after(() => {
+  feed.server.close();
+  receiver.server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("delivers new episodes to the callback with a valid signature", async () => {
+  await setup;
+  const created = await subscriptions.createSubscription({
+    url: `${feed.base}/signed.xml`,
+    callbackUrl: `${receiver.base}/signed`,
+  });
+  assert.equal(created.knownEpisodes, 1);
+
+  episodes = ["one", "two"];
+  await subscriptions.runSubscriptionTick({ subscriptionId: created.id });
+
+  const delivery = received.find((entry) => entry.path === "/signed");
+  assert.ok(delivery, "the receiver was called");
+  const timestamp = delivery.headers["x-webhook-timestamp"];
+  const expected = `sha256=${createHmac("sha256", created.secret)
+    .update(`${timestamp}.${delivery.body}`)
+    .digest("hex")}`;
+  assert.equal(delivery.headers["x-webhook-signature"], expected);
+  assert.equal(delivery.headers["x-webhook-event"], "episodes.new");
+
+  const payload = JSON.parse(delivery.body);
+  assert.deepEqual(
+    payload.episodes.map((episode) => episode.title),
+    ["two"],
+  );
+
+  const stored = await subscriptions.getSubscription(created.id);
+  assert.equal(stored.deliveries[0].status, "delivered");
+  assert.equal(stored.deliveries[0].lastStatusCode, 200);
+});
+
+test("keeps a failed delivery pending with a localized error code", async () => {
+  await setup;
+  episodes = ["one"];
+  const created = await subscriptions.createSubscription({
+    url: `${feed.base}/failing.xml`,
+    callbackUrl: `${receiver.base}/failing`,
+  });
+
+  episodes = ["one", "three"];
+  receiverStatus = 500;
+  try {
+    await subscriptions.runSubscriptionTick({ subscriptionId: created.id });
+  } finally {
+    receiverStatus = 200;
+  }
+
+  const [delivery] = (await subscriptions.getSubscription(created.id, { locale: "en" }))
+    .deliveries;
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastStatusCode, 500);
+  assert.equal(delivery.lastErrorCode, "CALLBACK_STATUS");
+  assert.equal(delivery.lastError, "The callback responded with status 500");
+});
+
+test("rejects callbacks that point into private address space", async () => {
+  await setup;
+  await assert.rejects(
+    subscriptions.createSubscription({
+      url: `${feed.base}/private.xml`,
+      callbackUrl: "http://10.1.2.3/hook",
+    }),
+    { code: "PRIVATE_ADDRESS" },
+  );
+  await assert.rejects(
+    subscriptions.createSubscription({
+      url: `${feed.base}/private.xml`,
+      callbackUrl: "http://[fd00::1]/hook",
+    }),
+    { code: "PRIVATE_ADDRESS" },
+  );
+});
+
+test("delivers once when two instances poll the same data directory", async () => {
+  await setup;
+  episodes = ["one"];
+  const created = await subscriptions.createSubscription({
+    url: `${feed.base}/shared.xml`,
+    callbackUrl: `${receiver.base}/shared`,
+  });
+
+  delete require.cache[require.resolve("../lib/subscriptions")];
+  const otherInstance = require("../lib/subscriptions");
+
+  episodes = ["one", "four"];
+  await Promise.all([
+    subscriptions.runSubscriptionTick({ force: true }),
+    otherInstance.runSubscriptionTick({ force: true }),
+  ]);
+
+  assert.equal(received.filter((entry) => entry.path === "/shared").length, 1);
+  const stored = await otherInstance.getSubscription(created.id);
+  assert.equal(stored.deliveries.length, 1);
+  assert.equal(stored.deliveries[0].status, "delivered");
+});
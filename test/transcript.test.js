@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  detectTranscriptFormat,
+  parseTranscript,
+  pickTranscript,
+  toWebVtt,
+} = require("../lib/transcript");
+
+const SRT = `\uFEFF1
+00:00:00,000 --> 00:00:02,500
+Hello &amp; welcome
+
+2
+00:00:02,500 --> 00:00:05,000
+<i>Second</i> line
+continues here
+
+3
+not a timing line
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE a comment block
+
+intro
+00:01.000 --> 00:04.000 align:start
+<v.host Ana Lee>Hi there</v>
+
+00:00:04.000 --> 00:00:07.250
+<v Ben>Hello</v>
+`;
+
+test("detects transcript formats from the type or the content", () => {
+  assert.equal(detectTranscriptFormat("application/x-subrip"), "srt");
+  assert.equal(detectTranscriptFormat("text/vtt"), "vtt");
+  assert.equal(detectTranscriptFormat("application/json"), "json");
+  assert.equal(detectTranscriptFormat("", "WEBVTT\n\n00:00.000 --> 00:01.000\nx"), "vtt");
+  assert.equal(detectTranscriptFormat("", "1\n00:00:00,000 --> 00:00:01,000\nx"), "srt");
+  assert.equal(detectTranscriptFormat("", "<p>Plain</p>"), "html");
+});
+
+test("parses SRT cues with comma decimals and multi-line text", () => {
+  const { format, cues } = parseTranscript(SRT, "application/srt");
+
+  assert.equal(format, "srt");
+  assert.deepEqual(cues, [
+    { start: 0, end: 2.5, speaker: "", text: "Hello & welcome" },
+    { start: 2.5, end: 5, speaker: "", text: "Second line\ncontinues here" },
+  ]);
+});
+
+test("parses WebVTT cues with identifiers, settings and voices", () => {
+  const { format, cues } = parseTranscript(VTT);
+
+  assert.equal(format, "vtt");
+  assert.deepEqual(cues, [
+    { start: 1, end: 4, speaker: "Ana Lee", text: "Hi there" },
+    { start: 4, end: 7.25, speaker: "Ben", text: "Hello" },
+  ]);
+});
+
+test("parses JSON transcripts and fills missing cue ends", () => {
+  const { cues } = parseTranscript(
+    JSON.stringify({
+      version: "1.0.0",
+      segments: [
+        { speaker: "Ana", startTime: 0, body: "First" },
+        { startTime: 3.5, endTime: 6, body: "Second" },
+        { startTime: 8, body: "" },
+      ],
+    }),
+    "application/json",
+  );
+
+  assert.deepEqual(cues, [
+    { start: 0, end: 3.5, speaker: "Ana", text: "First" },
+    { start: 3.5, end: 6, speaker: "", text: "Second" },
+  ]);
+});
+
+test("reports malformed JSON transcripts as TRANSCRIPT_PARSE_ERROR", () => {
+  assert.throws(() => parseTranscript("{", "application/json"), {
+    code: "TRANSCRIPT_PARSE_ERROR",
+  });
+});
+
+test("renders cues back to WebVTT", () => {
+  const vtt = toWebVtt([
+    { start: 0, end: 2.5, speaker: "A <host>", text: "Tom & Jerry" },
+    { start: 3, end: null, speaker: "", text: "Open end" },
+  ]);
+
+  assert.equal(
+    vtt,
+    "WEBVTT\n\n" +
+      "00:00:00.000 --> 00:00:02.500\n<v A &lt;host&gt;>Tom &amp; Jerry\n\n" +
+      "00:00:03.000 --> 00:00:08.000\nOpen end\n",
+  );
+  assert.deepEqual(parseTranscript(vtt).cues.map((cue) => cue.text), ["Tom & Jerry", "Open end"]);
+});
+
+test("picks the preferred language before the preferred format", () => {
+  const transcripts = [
+    { url: "a.srt", type: "application/srt", language: "en" },
+    { url: "b.html", type: "text/html", language: "de" },
+    { url: "c.json", type: "application/json", language: "en-US" },
+    { url: "d.vtt", type: "text/vtt", language: "de" },
+  ];
+
+  assert.equal(pickTranscript(transcripts, "de").url, "d.vtt");
+  assert.equal(pickTranscript(transcripts, "en").url, "c.json");
+  assert.equal(pickTranscript(transcripts).url, "c.json");
+  assert.equal(pickTranscript([], "en"), null);
+});
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { createHmac } = require("crypto");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "websub-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.PUBLIC_BASE_URL = "https://rss.example.com";
+process.env.NETWORK_ALLOW_HOSTS = "127.0.0.1";
+process.env.FETCH_NEGATIVE_CACHE_SECONDS = "0";
+
+const websub = require("../lib/websub");
+const { parseRssFeed, extractEpisodesPage } = require("../lib/feed");
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+
+const hubRequests = [];
+let hub;
+let feed;
+
+const toFeed = (titles) =>
+  [
+    '<?xml version="1.0"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel><title>Pushed</title>',
+    `<atom:link rel="hub" href="${hub.base}/"/>`,
+    `<atom:link rel="self" href="${feed.base}/feed.xml"/>`,
+    ...titles.map(
+      (title) =>
+        `<item><title>${title}</title><guid>${title}</guid>` +
+        `<enclosure url="https://example.com/${title}.mp3" type="audio/mpeg"/></item>`,
+    ),
+    "</channel></rss>",
+  ].join("");
+
+const setup = (async () => {
+  hub = await listen((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      hubRequests.push(new URLSearchParams(Buffer.concat(chunks).toString()));
+      res.writeHead(202);
+      res.end();
+    });
+  });
+  feed = await listen((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/rss+xml" });
+    res.end(toFeed(["two", "one"]));
+  });
+})();
+
+after(() => {
+  hub.server.close();
+  feed.server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const stateFile = path.join(dataDir, "websub.json");
+
+const readRecord = (id) =>
+  JSON.parse(fs.readFileSync(stateFile, "utf8")).subscriptions.find((entry) => entry.id === id);
+
+const editRecord = (id, changes) => {
+  const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  Object.assign(state.subscriptions.find((entry) => entry.id === id), changes);
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+};
+
+const push = (id, titles, secret = readRecord(id).secret) => {
+  const body = Buffer.from(toFeed(titles));
+  const signature = `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+  return websub.ingestPush(id, body, signature, "application/rss+xml");
+};
+
+const subscribe = async (name) => {
+  await setup;
+  const url = `${feed.base}/feed.xml?${name}`;
+  return websub.subscribeFeed(url);
+};
+
+const verify = (subscription) =>
+  websub.verifyIntent(subscription.id, {
+    "hub.mode": "subscribe",
+    "hub.topic": subscription.topic,
+    "hub.challenge": "challenge-token",
+    "hub.lease_seconds": "3600",
+  });
+
+test("accepts pushes only after the hub verifies the subscription", async () => {
+  const subscription = await subscribe("verify");
+  assert.equal(subscription.status, "pending");
+  const request = hubRequests.at(-1);
+  assert.equal(request.get("hub.mode"), "subscribe");
+  assert.equal(request.get("hub.callback"), subscription.callbackUrl);
+
+  assert.equal(await push(subscription.id, ["three"]), "gone");
+
+  assert.equal(await verify(subscription), "challenge-token");
+  const verified = await websub.getWebSubSubscription(subscription.id);
+  assert.equal(verified.status, "active");
+  assert.equal(verified.leaseSeconds, 3600);
+
+  assert.equal(await push(subscription.id, ["three"], "wrong-secret"), "ignored");
+  assert.equal(await push(subscription.id, ["three"]), "stored");
+  assert.ok(readRecord(subscription.id).lastPushAt);
+});
+
+test("merges pushed items into the cached feed", async () => {
+  const subscription = await subscribe("merge");
+  await verify(subscription);
+  const url = `${feed.base}/feed.xml?merge`;
+  await parseRssFeed(url);
+
+  assert.equal(await push(subscription.id, ["three", "two"]), "stored");
+
+  const { episodes } = extractEpisodesPage(await parseRssFeed(url), 0, 10);
+  assert.deepEqual(episodes.map((episode) => episode.title), ["three", "two", "one"]);
+});
+
+test("reads state written by other instances and rejects expired leases", async () => {
+  const subscription = await subscribe("expired");
+  await verify(subscription);
+
+  editRecord(subscription.id, { expiresAt: Date.now() - 1000 });
+  assert.equal((await websub.getWebSubSubscription(subscription.id)).status, "active");
+  assert.equal(await push(subscription.id, ["three"]), "gone");
+
+  editRecord(subscription.id, { status: "denied", expiresAt: null });
+  assert.equal(await push(subscription.id, ["three"]), "gone");
+  assert.equal(await websub.ingestPush("missing", Buffer.from(""), "", ""), "gone");
+});
+
+test("removes unverified subscriptions right away on unsubscribe", async () => {
+  const subscription = await subscribe("remove");
+  assert.equal(await websub.unsubscribeFeed(subscription.id), true);
+  assert.equal(await websub.getWebSubSubscription(subscription.id), null);
+  assert.equal(await websub.unsubscribeFeed(subscription.id), false);
+});